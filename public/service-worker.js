@@ -4,7 +4,8 @@
  * Enables:
  * - Offline app functionality
  * - Cache-first strategy for assets
- * - Background sync queue
+ * - Stale-while-revalidate runtime caching for API reads (skipped for no-cache reads)
+ * - Background sync that drains the offline outbox (IndexedDB syncQueue)
  * - Offline data persistence
  */
 
@@ -17,6 +18,168 @@ const urlsToCache = [
   '/manifest.json'
 ];
 
+// ==================== API Runtime Caching ====================
+// Read endpoints served stale-while-revalidate. Paths are relative to the API
+// base URL (REACT_APP_API_URL, handed over by the page). `store` names the
+// IndexedDB store the page should refresh when a revalidation brings new data.
+// `perUser` routes answer differently depending on who asks, so their entries
+// are kept per signed-in user.
+const API_CACHE_PREFIX = 'peer-learning-api-';
+const API_CACHE_ROUTES = [
+  { name: 'sessions', pattern: /^\/sessions(\/creator)?(\/[^/]+)?$/, store: 'sessions', maxAgeSeconds: 24 * 60 * 60, maxEntries: 100 },
+  { name: 'users', pattern: /^\/users(\/[^/]+)?$/, store: 'users', perUser: true, maxAgeSeconds: 24 * 60 * 60, maxEntries: 200 },
+  { name: 'feedback', pattern: /^\/feedback\/session\/[^/]+$/, store: 'feedback', maxAgeSeconds: 7 * 24 * 60 * 60, maxEntries: 100 },
+  { name: 'certificates', pattern: /^\/certificates\/user\/[^/]+$/, store: 'certificates', maxAgeSeconds: 7 * 24 * 60 * 60, maxEntries: 20 },
+  { name: 'rooms', pattern: /^\/rooms$/, store: 'rooms', maxAgeSeconds: 7 * 24 * 60 * 60, maxEntries: 5 }
+];
+const DEFAULT_API_BASE = new URL('http://localhost:5000/api');
+
+let apiBase = null;
+
+// Pick up the API URL the page stored in IndexedDB (see syncManager.setupSyncListener)
+async function loadApiConfig() {
+  try {
+    const db = await openOfflineDB();
+    try {
+      if (!db.objectStoreNames.contains('meta')) return;
+      const config = (await idbGet(db, 'meta', 'config'))?.value;
+      if (config && config.apiUrl) apiBase = new URL(config.apiUrl);
+    } finally {
+      db.close();
+    }
+  } catch (error) {
+    // No offline database yet - keep the default
+  }
+}
+
+// Path of a request relative to the API base, or null if it is not an API call
+function apiPathOf(url) {
+  const base = apiBase || DEFAULT_API_BASE;
+  const basePath = base.pathname.replace(/\/$/, '');
+  if (url.origin === base.origin && url.pathname.startsWith(`${basePath}/`)) {
+    return url.pathname.slice(basePath.length);
+  }
+  // Same-origin deployments proxy the API under /api
+  if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) {
+    return url.pathname.slice('/api'.length);
+  }
+  return null;
+}
+
+// Explicit offline signal: pages render an offline state instead of empty lists
+function offlineApiResponse() {
+  return new Response(
+    JSON.stringify({ offline: true, message: 'You are offline and this data has not been cached yet' }),
+    { status: 503, statusText: 'Offline', headers: { 'Content-Type': 'application/json', 'X-SW-Offline': '1' } }
+  );
+}
+
+// Copy a response, stamping headers that tell the page where it came from
+async function withCacheHeaders(response, headers) {
+  const merged = new Headers(response.headers);
+  Object.entries(headers).forEach(([key, value]) => merged.set(key, value));
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: merged
+  });
+}
+
+// User signed in on the page (see authService), or null
+async function readSignedInUserId() {
+  try {
+    const db = await openOfflineDB();
+    try {
+      if (!db.objectStoreNames.contains('meta')) return null;
+      const session = (await idbGet(db, 'meta', 'session'))?.value;
+      return (session && session.userId) || null;
+    } finally {
+      db.close();
+    }
+  } catch (error) {
+    return null;
+  }
+}
+
+// Cache entry for a request: the request itself, or for per-user routes its
+// URL tagged with the signed-in user. Null when nothing may be cached.
+async function apiCacheKey(route, request) {
+  if (!route.perUser) return request;
+  const userId = await readSignedInUserId();
+  if (!userId) return null;
+  const url = new URL(request.url);
+  url.searchParams.set('sw-user', userId);
+  return url.href;
+}
+
+async function readApiCache(route, cacheKey) {
+  const cache = await caches.open(API_CACHE_PREFIX + route.name);
+  const cached = await cache.match(cacheKey);
+  if (!cached) return null;
+
+  const cachedAt = Number(cached.headers.get('X-SW-Cached-At')) || 0;
+  if (Date.now() - cachedAt > route.maxAgeSeconds * 1000) {
+    await cache.delete(cacheKey);
+    return null;
+  }
+  return cached;
+}
+
+async function writeApiCache(route, cacheKey, response) {
+  const cache = await caches.open(API_CACHE_PREFIX + route.name);
+  await cache.put(cacheKey, await withCacheHeaders(response, { 'X-SW-Cached-At': String(Date.now()) }));
+
+  // Drop the oldest entries beyond the route's limit (keys come back in insertion order)
+  const keys = await cache.keys();
+  for (const key of keys.slice(0, Math.max(keys.length - route.maxEntries, 0))) {
+    await cache.delete(key);
+  }
+}
+
+async function staleWhileRevalidate(event, route) {
+  const { request } = event;
+  const cacheKey = await apiCacheKey(route, request);
+  if (!cacheKey) return fetch(request).catch(() => offlineApiResponse());
+
+  const cachedPromise = readApiCache(route, cacheKey);
+
+  const networkPromise = fetch(request).then(async response => {
+    if (response.ok) {
+      const cached = await cachedPromise;
+      const fresh = await response.clone().text();
+      await writeApiCache(route, cacheKey, response.clone());
+
+      // Pages never store a stale cached copy, so hand them the fresh data
+      // whenever it differs from what they were served
+      if (cached && (await cached.clone().text()) !== fresh) {
+        let data = null;
+        try {
+          data = JSON.parse(fresh);
+        } catch (error) {
+          // Not JSON - pages just re-read
+        }
+        const windows = await self.clients.matchAll({ type: 'window' });
+        windows.forEach(client => client.postMessage({ type: 'API_UPDATED', store: route.store, url: request.url, data }));
+      }
+    }
+    return response;
+  });
+
+  // Keep the worker alive until the revalidation has been cached
+  event.waitUntil(networkPromise.catch(() => {}));
+
+  // Reads sent with Cache-Control: no-cache (conflict checks) need the
+  // server's current copy, never a cached one
+  if (/no-cache/.test(request.headers.get('Cache-Control') || '')) {
+    return networkPromise.catch(() => offlineApiResponse());
+  }
+
+  return cachedPromise.then(cached => {
+    if (cached) return withCacheHeaders(cached, { 'X-SW-Cache': 'hit' });
+    return networkPromise.catch(() => offlineApiResponse());
+  });
+}
+
 // Install Service Worker
 self.addEventListener('install', event => {
   event.waitUntil(
@@ -33,21 +196,25 @@ self.addEventListener('install', event => {
 
 // Activate Service Worker
 self.addEventListener('activate', event => {
+  const apiCaches = API_CACHE_ROUTES.map(route => API_CACHE_PREFIX + route.name);
   event.waitUntil(
-    caches.keys().then(cacheNames => {
-      return Promise.all(
-        cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    })
+    Promise.all([
+      loadApiConfig(),
+      caches.keys().then(cacheNames => {
+        return Promise.all(
+          cacheNames.map(cacheName => {
+            if (cacheName !== CACHE_NAME && !apiCaches.includes(cacheName)) {
+              return caches.delete(cacheName);
+            }
+          })
+        );
+      })
+    ])
   );
   self.clients.claim();
 });
 
-// Fetch Event - Network first, then cache
+// Fetch Event - API runtime caching, then cache-first static assets
 self.addEventListener('fetch', event => {
   const request = event.request;
 
@@ -62,19 +229,22 @@ self.addEventListener('fetch', event => {
   // Workaround for Chrome bug with only-if-cached and cross-origin
   if (request.cache === 'only-if-cached' && request.mode !== 'same-origin') return;
 
-  // Do not intercept cross-origin requests (e.g., API on :5000 or CDNs)
-  if (url.origin !== self.location.origin) return;
-
-  // If somehow an API call on same-origin exists, prefer network
-  if (url.pathname.startsWith('/api/')) {
+  // API reads: stale-while-revalidate for configured routes, network-only otherwise
+  const apiPath = apiPathOf(url);
+  if (apiPath !== null) {
+    if (!apiBase) loadApiConfig();
+    const route = API_CACHE_ROUTES.find(r => r.pattern.test(apiPath));
     event.respondWith(
-      fetch(request)
-        .then(response => (response && response.ok ? response : Promise.reject(new Error('Network request failed'))))
-        .catch(() => new Response(JSON.stringify({ offline: true }), { status: 200, headers: { 'Content-Type': 'application/json' } }))
+      route
+        ? staleWhileRevalidate(event, route)
+        : fetch(request).catch(() => offlineApiResponse())
     );
     return;
   }
 
+  // Do not intercept other cross-origin requests (e.g., CDNs)
+  if (url.origin !== self.location.origin) return;
+
   // Cache-first strategy for same-origin static assets
   event.respondWith(
     caches.match(request)
@@ -109,21 +279,216 @@ self.addEventListener('sync', event => {
   if (event.tag === 'sync-data') {
     event.waitUntil(
       syncOfflineData()
-        .then(() => {
-          console.log('Background sync completed');
+        .then(summary => {
+          console.log('Background sync completed', summary);
         })
         .catch(error => {
           console.error('Background sync failed:', error);
+          // Rethrow so the browser schedules another attempt
           throw error;
         })
     );
   }
 });
 
+// ==================== Offline Outbox ====================
+// Mirrors the page's syncQueueDB (src/db/database.js): same IndexedDB database,
+// item statuses and backoff, so either side can pick up where the other left off.
+
+const OFFLINE_DB_NAME = 'navpeer-offline';
+const SYNC_MAX_ATTEMPTS = 6;
+const SYNC_BASE_RETRY_DELAY = 2000;
+const SYNC_MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+const idbRequest = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Open whatever version the page created; the page owns the schema
+function openOfflineDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_DB_NAME);
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function idbGet(db, storeName, key) {
+  return idbRequest(db.transaction(storeName).objectStore(storeName).get(key));
+}
+
+async function idbGetAll(db, storeName) {
+  return idbRequest(db.transaction(storeName).objectStore(storeName).getAll());
+}
+
+async function idbPut(db, storeName, key, value) {
+  return idbRequest(db.transaction(storeName, 'readwrite').objectStore(storeName).put(value, key));
+}
+
+function toSyncPayload(item) {
+  return {
+    id: item.id,
+    type: item.dataType,
+    action: item.action,
+    _id: item.data && item.data._id,
+    baseVersion: item.baseVersion,
+    data: item.data
+  };
+}
+
+function recordVersion(record) {
+  if (!record) return null;
+  if (record.version !== undefined && record.version !== null) return record.version;
+  return record.updatedAt || null;
+}
+
+// Edits need the page's conflict check if the server copy moved on since they were made
+async function hasServerChanged(apiUrl, item, headers) {
+  const paths = { session: 'sessions', user: 'users' };
+  const id = item.dataType === 'user' ? item.data.userId : item.data.sessionId;
+  if (!paths[item.dataType] || !id) return false;
+
+  const response = await fetch(`${apiUrl}/${paths[item.dataType]}/${encodeURIComponent(id)}`, { headers });
+  if (!response.ok) return false;
+  const current = await response.json();
+  return item.baseVersion === null || recordVersion(current) !== item.baseVersion;
+}
+
+// Same shape as the page's syncQueueDB.markAsSynced; the page clears synced items
+async function markItemSynced(db, item, queue) {
+  await idbPut(db, 'syncQueue', item.id, {
+    ...item,
+    status: 'synced',
+    lastError: null,
+    syncedAt: new Date().toISOString()
+  });
+
+  // Clear the record's pending flag once nothing else is queued for it
+  const target = item.target;
+  if (!target || !target.key) return;
+  const stillQueued = queue.some(other =>
+    other.id !== item.id &&
+    other.status !== 'synced' &&
+    other.target && other.target.store === target.store && other.target.key === target.key
+  );
+  if (stillQueued) return;
+
+  const record = await idbGet(db, target.store, String(target.key));
+  if (record && record._pendingSync) {
+    const { _pendingSync, ...clean } = record;
+    await idbPut(db, target.store, String(target.key), clean);
+  }
+}
+
+async function markItemFailed(db, item, message) {
+  const attempts = item.attempts + 1;
+  const delay = Math.min(SYNC_BASE_RETRY_DELAY * Math.pow(2, attempts - 1), SYNC_MAX_RETRY_DELAY);
+  await idbPut(db, 'syncQueue', item.id, {
+    ...item,
+    status: attempts < SYNC_MAX_ATTEMPTS ? 'pending' : 'failed',
+    attempts,
+    nextAttemptAt: Date.now() + delay,
+    lastError: message
+  });
+}
+
+async function notifyClients(message) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(client => client.postMessage(message));
+  return windows.length;
+}
+
 // Sync offline data to backend
 async function syncOfflineData() {
-  // This will be implemented in the app
-  console.log('Syncing offline data...');
+  // With a tab open, let the page replay so it can prompt for conflicts
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.length > 0) {
+    windows.forEach(client => client.postMessage({ type: 'SYNC_REQUESTED' }));
+    return { delegated: true };
+  }
+
+  let db;
+  try {
+    db = await openOfflineDB();
+  } catch (error) {
+    // No offline database yet - nothing was ever queued
+    return { synced: 0, failed: 0 };
+  }
+
+  try {
+    if (!db.objectStoreNames.contains('syncQueue') || !db.objectStoreNames.contains('meta')) {
+      return { synced: 0, failed: 0 };
+    }
+
+    const config = (await idbGet(db, 'meta', 'config'))?.value;
+    if (!config || !config.apiUrl) return { synced: 0, failed: 0 };
+
+    // Only the signed-in user's changes go out under their token
+    const session = (await idbGet(db, 'meta', 'session'))?.value;
+    if (!session || !session.userId) return { synced: 0, failed: 0 };
+
+    // Access token shared by the page; refreshing it is left to the page
+    const auth = (await idbGet(db, 'meta', 'auth'))?.value;
+    const headers = auth && auth.accessToken ? { Authorization: `Bearer ${auth.accessToken}` } : {};
+
+    const queue = (await idbGetAll(db, 'syncQueue')).sort((a, b) => a.seq - b.seq);
+    const stores = new Set(['syncQueue']);
+    let synced = 0;
+    let failed = 0;
+    const conflicted = new Set();
+
+    for (const item of queue) {
+      if (item.userId !== session.userId) continue;
+      const targetKey = item.target && item.target.key ? `${item.target.store}:${item.target.key}` : null;
+      if (item.status === 'conflict') {
+        if (targetKey) conflicted.add(targetKey);
+        continue;
+      }
+      if (item.status !== 'pending' && item.status !== 'syncing') continue;
+      // Later changes to a record wait until its conflict is resolved
+      if (targetKey && conflicted.has(targetKey)) continue;
+      // Replay strictly in order: stop at anything still backing off
+      if (item.nextAttemptAt > Date.now()) break;
+      if (item.action === 'update' && await hasServerChanged(config.apiUrl, item, headers)) break;
+
+      // A network failure here rejects the sync event and the browser retries later
+      const response = await fetch(`${config.apiUrl}/sync`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ userId: item.userId, data: [toSyncPayload(item)] })
+      });
+
+      // Expired token: not the item's fault, wait for the page to sign in again
+      if (response.status === 401) break;
+      const body = await response.json().catch(() => ({}));
+      const result = Array.isArray(body.results) ? body.results[0] : null;
+
+      if (result && result.conflict) break;
+
+      if (response.ok && (!result || result.success !== false)) {
+        await markItemSynced(db, item, queue);
+        item.status = 'synced';
+        if (item.target && item.target.store) stores.add(item.target.store);
+        synced++;
+      } else {
+        await markItemFailed(db, item, (result && (result.error || result.message)) || body.message || `HTTP ${response.status}`);
+        failed++;
+        break;
+      }
+    }
+
+    if (synced > 0) {
+      await idbPut(db, 'meta', 'lastSyncAt', { key: 'lastSyncAt', value: new Date().toISOString() });
+    }
+
+    const summary = { synced, failed, stores: Array.from(stores) };
+    await notifyClients({ type: 'SYNC_COMPLETE', ...summary });
+    return summary;
+  } finally {
+    db.close();
+  }
 }
 
 // Handle messages from clients
@@ -131,4 +496,7 @@ self.addEventListener('message', event => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
+  if (event.data && event.data.type === 'CONFIG' && event.data.apiUrl) {
+    apiBase = new URL(event.data.apiUrl);
+  }
 });
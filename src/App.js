@@ -8,6 +8,8 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { motion, AnimatePresence } from 'framer-motion';
 import Navbar from './components/Navbar';
 import PrivateRoute from './components/PrivateRoute';
+import SyncConflictDialog from './components/SyncConflictDialog';
+import OverdueSessionsPrompt from './components/OverdueSessionsPrompt';
 import HomePage from './pages/HomePage';
 import SessionListPage from './pages/SessionListPage';
 import SessionDetailPage from './pages/SessionDetailPage';
@@ -18,90 +20,19 @@ import SkillGraphPage from './pages/SkillGraphPage';
 import CertificatesPage from './pages/CertificatesPage';
 import LoginPage from './pages/LoginPage';
 import SignupPage from './pages/SignupPage';
-import { userAPI } from './services/api';
+import BackupPage from './pages/BackupPage';
+import SyncCenterPage from './pages/SyncCenterPage';
+import AdminPage from './pages/AdminPage';
+import { useAuth } from './context/AuthContext';
+import { ROLES } from './utils/roles';
 import syncManager from './utils/syncManager';
 import './index.css';
 
 function App() {
-  const [currentUser, setCurrentUser] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const { currentUser, loading, login } = useAuth();
   const [isOnline, setIsOnline] = useState(navigator.onLine);
 
   useEffect(() => {
-    // Initialize current user
-    const userId = localStorage.getItem('userId');
-    console.log('App.js: Checking for userId in localStorage:', userId);
-    
-    // Check for Google login success
-    const urlParams = new URLSearchParams(window.location.search);
-    if (urlParams.get('login') === 'success') {
-      // Fetch user from backend
-      fetch('http://localhost:5000/auth/user', { credentials: 'include' })
-        .then(res => res.json())
-        .then(user => {
-          if (user && !user.message) {
-            localStorage.setItem('userId', user.userId);
-            localStorage.setItem('currentUser', JSON.stringify(user));
-            setCurrentUser(user);
-            console.log('App.js: Google login user set:', user);
-          }
-        })
-        .catch(err => console.error('Failed to fetch Google user:', err));
-      // Clean up URL
-      window.history.replaceState({}, document.title, window.location.pathname);
-    }
-    
-    // If a full currentUser is stored locally (fallback for offline/guest), use it immediately
-    const stored = localStorage.getItem('currentUser');
-    if (stored) {
-      try {
-        const parsed = JSON.parse(stored);
-        setCurrentUser(parsed);
-        console.log('App.js: Loaded currentUser from localStorage fallback', parsed);
-      } catch (e) {
-        console.warn('App.js: Failed to parse currentUser from localStorage', e);
-      }
-    }
-
-    // If we're online, try to refresh authoritative user from server (ensures Google photo is synced)
-    // Only do this when the local user has a placeholder avatar or none (preserve offline behavior)
-    if (navigator.onLine) {
-      try {
-        const local = localStorage.getItem('currentUser');
-        const localUser = local ? JSON.parse(local) : null;
-        const needsRefresh = !localUser || !localUser.profilePicture || (localUser.profilePicture && localUser.profilePicture.includes('i.pravatar.cc'));
-
-        if (needsRefresh) {
-          console.log('App.js: Refreshing currentUser from server to sync Google profile photo');
-          fetch('http://localhost:5000/auth/user', { credentials: 'include' })
-            .then(res => {
-              if (!res.ok) throw new Error('Not authenticated');
-              return res.json();
-            })
-            .then(user => {
-              if (user && !user.message) {
-                localStorage.setItem('userId', user.userId);
-                localStorage.setItem('currentUser', JSON.stringify(user));
-                setCurrentUser(user);
-                console.log('App.js: currentUser refreshed from server', user);
-              }
-            })
-            .catch(() => {
-              // ignore; user may not be authenticated
-            });
-        }
-      } catch (err) {
-        // ignore parse errors
-      }
-    }
-
-    if (userId) {
-      loadUser(userId);
-    } else {
-      console.log('App.js: No userId found in localStorage');
-      setLoading(false);
-    }
-
     // Service Worker: only register in production to avoid dev/HMR issues
     if ('serviceWorker' in navigator) {
       if (process.env.NODE_ENV === 'production') {
@@ -136,45 +67,6 @@ function App() {
     });
   }, []);
 
-  const loadUser = async (userId) => {
-    try {
-      console.log('App.js: Loading user with userId:', userId);
-      const user = await userAPI.getUser(userId);
-      console.log('App.js: User loaded from API:', user);
-      
-      if (user && !user.message) {
-        setCurrentUser(user);
-        console.log('App.js: Current user set:', user);
-      } else {
-        console.log('App.js: User not found, clearing localStorage');
-        localStorage.removeItem('userId');
-        localStorage.removeItem('currentUser');
-      }
-    } catch (error) {
-      console.error('App.js: Error loading user:', error);
-      // Keep local currentUser if present (offline/guest). Only remove userId if we have no fallback.
-      const stored = localStorage.getItem('currentUser');
-      if (!stored) {
-        localStorage.removeItem('userId');
-      }
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const handleLogin = (user) => {
-    console.log('App.js: handleLogin called with user:', user);
-    localStorage.setItem('userId', user.userId);
-    localStorage.setItem('currentUser', JSON.stringify(user));
-    setCurrentUser(user);
-  };
-
-  const handleLogout = () => {
-    console.log('App.js: handleLogout called');
-    localStorage.removeItem('userId');
-    setCurrentUser(null);
-  };
-
   if (loading) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-purple-900 via-purple-800 to-indigo-900 flex items-center justify-center">
@@ -207,13 +99,19 @@ function App() {
           )}
         </AnimatePresence>
 
-        <Navbar currentUser={currentUser} isOnline={isOnline} onLogout={handleLogout} />
+        <Navbar isOnline={isOnline} />
+
+        {/* Offline edits that clashed with another device */}
+        {currentUser && <SyncConflictDialog />}
+
+        {/* Moves sessions along by the clock and nudges mentors to complete them */}
+        {currentUser && <OverdueSessionsPrompt currentUser={currentUser} />}
 
         <main className={isOnline ? '' : 'mt-12'}>
           <AnimatePresence mode="wait">
             <Routes>
-              <Route path="/login" element={<LoginPage onLogin={handleLogin} />} />
-              <Route path="/signup" element={<SignupPage onLogin={handleLogin} />} />
+              <Route path="/login" element={<LoginPage onLogin={login} />} />
+              <Route path="/signup" element={<SignupPage onLogin={login} />} />
               
               {/* Protected Routes - Require Login */}
               <Route 
@@ -232,6 +130,14 @@ function App() {
                   </PrivateRoute>
                 } 
               />
+              <Route 
+                path="/sessions/:sessionId/edit" 
+                element={
+                  <PrivateRoute currentUser={currentUser}>
+                    <CreateSessionPage currentUser={currentUser} />
+                  </PrivateRoute>
+                } 
+              />
               <Route 
                 path="/sessions/:sessionId" 
                 element={
@@ -252,7 +158,7 @@ function App() {
                 path="/profile" 
                 element={
                   <PrivateRoute currentUser={currentUser}>
-                    <ProfilePage currentUser={currentUser} />
+                    <ProfilePage currentUser={currentUser} onLogin={login} />
                   </PrivateRoute>
                 } 
               />
@@ -280,6 +186,30 @@ function App() {
                   </PrivateRoute>
                 } 
               />
+              <Route 
+                path="/sync" 
+                element={
+                  <PrivateRoute currentUser={currentUser}>
+                    <SyncCenterPage currentUser={currentUser} />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/backup" 
+                element={
+                  <PrivateRoute currentUser={currentUser}>
+                    <BackupPage currentUser={currentUser} />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/admin" 
+                element={
+                  <PrivateRoute currentUser={currentUser} roles={[ROLES.COORDINATOR]}>
+                    <AdminPage currentUser={currentUser} />
+                  </PrivateRoute>
+                } 
+              />
               
               <Route path="*" element={<Navigate to="/" replace />} />
             </Routes>
@@ -0,0 +1,122 @@
+/**
+ * Attendance Register
+ * Mentor's roll call: mark each attendee present, late or absent with a
+ * note. Works offline (entries queue like any other change) and exports
+ * to CSV.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { ClipboardList, Download, CheckCircle } from 'lucide-react';
+import { sessionDB } from '../db/database';
+import { ATTENDANCE_STATES, getAttendanceRows, getAttendanceNote, downloadAttendanceCsv } from '../utils/attendance';
+
+const STATE_STYLES = {
+  present: 'bg-green-500/30 text-green-200 border-green-500/60',
+  late: 'bg-yellow-500/30 text-yellow-200 border-yellow-500/60',
+  absent: 'bg-red-500/30 text-red-200 border-red-500/60'
+};
+
+function AttendanceRegister({ session, attendees }) {
+  const [rows, setRows] = useState(() => getAttendanceRows(session, attendees));
+
+  useEffect(() => {
+    setRows(getAttendanceRows(session, attendees));
+  }, [session, attendees]);
+
+  const updateRow = (userId, changes) => {
+    setRows(prev => prev.map(row => (row.userId === userId ? { ...row, ...changes } : row)));
+  };
+
+  const save = async (row, changes) => {
+    const next = { ...row, ...changes };
+    updateRow(row.userId, changes);
+    try {
+      await sessionDB.markAttendance(session.sessionId, row.userId, { status: next.status, note: next.note });
+    } catch (error) {
+      console.error('Error marking attendance:', error);
+      alert(`Failed to update the register: ${error.message}`);
+      updateRow(row.userId, { status: row.status, note: row.note });
+    }
+  };
+
+  const handleNoteBlur = (row, note) => {
+    if (note !== getAttendanceNote(session, row.userId)) save(row, { note });
+  };
+
+  const attended = rows.filter(row => row.status === 'present' || row.status === 'late').length;
+
+  return (
+    <motion.div
+      initial={{ y: 20, opacity: 0 }}
+      animate={{ y: 0, opacity: 1 }}
+      transition={{ delay: 0.15 }}
+      className="glass rounded-2xl p-8 border border-purple-500/20 mb-8"
+    >
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <ClipboardList className="text-purple-400" size={24} />
+          <div>
+            <h2 className="text-2xl font-bold text-white">Register</h2>
+            <p className="text-gray-400 text-sm">{attended} of {rows.length} attended</p>
+          </div>
+        </div>
+        <button
+          onClick={() => downloadAttendanceCsv(session, rows)}
+          disabled={rows.length === 0}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg border border-purple-500/40 text-purple-300 hover:bg-purple-500/10 transition-colors disabled:opacity-40"
+        >
+          <Download size={16} />
+          Export CSV
+        </button>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-gray-400 text-center py-6">No one has joined this session</p>
+      ) : (
+        <div className="space-y-3">
+          {rows.map(row => (
+            <div
+              key={row.userId}
+              className="flex flex-col md:flex-row md:items-center gap-3 p-3 rounded-lg bg-slate-800/40 border border-purple-500/10"
+            >
+              <div className="md:w-48 flex items-center gap-2 text-white">
+                {row.name}
+                {row.checkedIn && (
+                  <span title="Checked in">
+                    <CheckCircle size={14} className="text-green-400" />
+                  </span>
+                )}
+              </div>
+              <div className="flex gap-1">
+                {Object.entries(ATTENDANCE_STATES).map(([state, label]) => (
+                  <button
+                    key={state}
+                    onClick={() => save(row, { status: state })}
+                    className={`px-3 py-1 rounded-lg text-sm border transition-colors ${
+                      row.status === state
+                        ? STATE_STYLES[state]
+                        : 'border-purple-500/20 text-gray-400 hover:text-white'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <input
+                type="text"
+                value={row.note}
+                onChange={(e) => updateRow(row.userId, { note: e.target.value })}
+                onBlur={(e) => handleNoteBlur(row, e.target.value)}
+                placeholder="Note"
+                className="flex-1 bg-slate-800/50 border border-purple-500/20 rounded-lg px-3 py-1 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-purple-500/50"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
+export default AttendanceRegister;
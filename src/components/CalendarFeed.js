@@ -0,0 +1,141 @@
+/**
+ * Calendar Feed
+ * Private subscription link for the user's sessions, so calendar apps pick up
+ * new, rescheduled and cancelled sessions, plus a one-off .ics download
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { CalendarPlus, Copy, RefreshCw, Download } from 'lucide-react';
+import { userAPI } from '../services/api';
+import { sessionDB } from '../db/database';
+import { downloadICS } from '../utils/ical';
+
+// Calendar apps open webcal:// links as a subscription rather than a download
+const toWebcal = (url) => url.replace(/^https?:\/\//, 'webcal://');
+
+function CalendarFeed({ currentUser }) {
+  const [feedUrl, setFeedUrl] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const loadFeed = useCallback(async () => {
+    try {
+      const result = await userAPI.getCalendarFeed(currentUser.userId);
+      setFeedUrl(result?.url || '');
+      setError('');
+    } catch (err) {
+      console.error('Error loading calendar feed:', err);
+      setError(err.offline ? 'Connect to the internet to get your calendar link.' : 'Could not load your calendar link.');
+    }
+  }, [currentUser.userId]);
+
+  useEffect(() => {
+    loadFeed();
+  }, [loadFeed]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      window.prompt('Copy your calendar link:', feedUrl);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Create a new link? Calendars subscribed with the old one will stop updating.')) return;
+    setBusy(true);
+    try {
+      const result = await userAPI.resetCalendarFeed(currentUser.userId);
+      setFeedUrl(result?.url || '');
+    } catch (err) {
+      console.error('Error resetting calendar feed:', err);
+      alert(err.message || 'Failed to reset the calendar link. Please try again.');
+    }
+    setBusy(false);
+  };
+
+  // Works offline from the local cache
+  const handleDownload = async () => {
+    try {
+      const sessions = (await sessionDB.getAllSessions() || []).filter(session =>
+        String(session.creatorId) === String(currentUser.userId) ||
+        (session.attendees || []).includes(currentUser.userId));
+      if (sessions.length === 0) {
+        alert('You have no sessions to export yet.');
+        return;
+      }
+      downloadICS(sessions, 'my-sessions.ics', { calendarName: `${currentUser.name}'s sessions` });
+    } catch (err) {
+      console.error('Error exporting calendar:', err);
+      alert('Failed to export your sessions.');
+    }
+  };
+
+  return (
+    <div className="glass rounded-2xl p-8 border border-purple-500/20 mb-8">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Calendar</h2>
+          <p className="text-gray-400 text-sm">Sessions you create or join, in your phone's calendar</p>
+        </div>
+        <button
+          onClick={handleDownload}
+          className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg border border-purple-500/40 text-purple-300 hover:bg-purple-500/10 transition-colors"
+        >
+          <Download size={16} />
+          Download .ics
+        </button>
+      </div>
+
+      {error ? (
+        <p className="text-gray-400">{error}</p>
+      ) : !feedUrl ? (
+        <p className="text-gray-400">Loading calendar link...</p>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              readOnly
+              value={feedUrl}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 min-w-0 bg-slate-800/50 border border-purple-500/30 rounded-lg px-3 py-2 text-sm text-gray-300 focus:outline-none"
+            />
+            <button
+              onClick={handleCopy}
+              className="flex items-center gap-1 px-3 py-2 text-sm rounded-lg border border-purple-500/40 text-purple-300 hover:bg-purple-500/10 transition-colors"
+            >
+              <Copy size={14} />
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <a
+              href={toWebcal(feedUrl)}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-gradient-to-r from-purple-500 to-pink-600 text-white text-sm font-semibold hover:shadow-lg transition-all"
+            >
+              <CalendarPlus size={16} />
+              Subscribe in calendar app
+            </a>
+            <button
+              onClick={handleReset}
+              disabled={busy}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg border border-red-500/40 text-red-300 text-sm hover:bg-red-500/10 transition-colors disabled:opacity-50"
+            >
+              <RefreshCw size={14} />
+              Reset link
+            </button>
+          </div>
+          <p className="text-gray-500 text-xs">
+            Anyone with this link can see your sessions. Reset it if you shared it by mistake.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CalendarFeed;
@@ -0,0 +1,161 @@
+/**
+ * Check-in Panel
+ * Mentor view during an ongoing session: a rotating QR code and short code
+ * for attendees to check in with, and who has checked in so far
+ */
+
+import React, { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { QrCode, CheckCircle } from 'lucide-react';
+import QRCode from 'qrcode';
+import { sessionDB } from '../db/database';
+import { getCheckInCode, getCheckInUrl, secondsUntilNextCode } from '../utils/checkIn';
+
+// Check-ins arrive from attendees' devices via the server
+const REFRESH_INTERVAL = 15000;
+
+function CheckInPanel({ session, attendees, onChanged }) {
+  const [code, setCode] = useState('');
+  const [qrDataUrl, setQrDataUrl] = useState('');
+  const [secondsLeft, setSecondsLeft] = useState(secondsUntilNextCode());
+  const [opening, setOpening] = useState(false);
+  const [checkedInIds, setCheckedInIds] = useState(session.checkedIn || []);
+
+  // Kept on the mentor's device, not on the session (see sessionDB.openCheckIn)
+  const [secret, setSecret] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    sessionDB.getCheckInSecret(session.sessionId)
+      .then(value => {
+        if (!cancelled) setSecret(value);
+      })
+      .catch(error => console.warn('Failed to load check-in secret:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [session.sessionId]);
+
+  // Recompute the code every second; it only changes when the window rolls over
+  useEffect(() => {
+    if (!secret) return undefined;
+    let cancelled = false;
+
+    const update = async () => {
+      setSecondsLeft(secondsUntilNextCode());
+      try {
+        const next = await getCheckInCode(secret);
+        if (!cancelled) setCode(prev => (prev === next ? prev : next));
+      } catch (error) {
+        console.error('Failed to generate check-in code:', error);
+      }
+    };
+
+    update();
+    const timer = setInterval(update, 1000);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [secret]);
+
+  useEffect(() => {
+    setCheckedInIds(session.checkedIn || []);
+    if (!secret) return undefined;
+    const timer = setInterval(async () => {
+      if (!navigator.onLine) return;
+      try {
+        setCheckedInIds(await sessionDB.fetchCheckIns(session.sessionId));
+      } catch (error) {
+        console.warn('Failed to refresh check-ins:', error);
+      }
+    }, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [session.sessionId, session.checkedIn, secret]);
+
+  useEffect(() => {
+    if (!code) return;
+    QRCode.toDataURL(getCheckInUrl(session.sessionId, code), { width: 240, margin: 1 })
+      .then(setQrDataUrl)
+      .catch(error => console.error('Failed to draw QR code:', error));
+  }, [code, session.sessionId]);
+
+  const handleOpen = async () => {
+    setOpening(true);
+    try {
+      setSecret(await sessionDB.openCheckIn(session.sessionId));
+      onChanged();
+    } catch (error) {
+      console.error('Error opening check-in:', error);
+      alert(error.offline
+        ? 'Connect to the internet to start check-in.'
+        : `Failed to start check-in: ${error.message}`);
+    } finally {
+      setOpening(false);
+    }
+  };
+
+  const checkedIn = attendees.filter(attendee => checkedInIds.includes(attendee.userId));
+
+  return (
+    <motion.div
+      initial={{ y: 20, opacity: 0 }}
+      animate={{ y: 0, opacity: 1 }}
+      transition={{ delay: 0.1 }}
+      className="glass rounded-2xl p-8 border border-purple-500/20 mb-8"
+    >
+      <div className="flex items-center gap-3 mb-6">
+        <QrCode className="text-purple-400" size={24} />
+        <h2 className="text-2xl font-bold text-white">Check-in</h2>
+        <span className="ml-auto text-gray-400 text-sm">
+          {checkedIn.length} / {attendees.length} checked in
+        </span>
+      </div>
+
+      {!secret ? (
+        <div className="text-center py-6">
+          <p className="text-gray-400 mb-4">
+            Show a code on screen that attendees scan or type to confirm they are here.
+          </p>
+          <button
+            onClick={handleOpen}
+            disabled={opening}
+            className="px-6 py-3 bg-gradient-to-r from-purple-500 to-pink-600 text-white rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+          >
+            {opening ? 'Starting...' : 'Start Check-in'}
+          </button>
+        </div>
+      ) : (
+        <div className="flex flex-col md:flex-row items-center gap-8">
+          <div className="bg-white p-3 rounded-xl">
+            {qrDataUrl
+              ? <img src={qrDataUrl} alt="Check-in QR code" className="w-60 h-60" />
+              : <div className="w-60 h-60" />}
+          </div>
+          <div className="flex-1 text-center md:text-left">
+            <p className="text-gray-400 text-sm mb-1">Or enter this code</p>
+            <p className="text-5xl font-mono font-bold tracking-widest text-white mb-2">{code || '------'}</p>
+            <p className="text-gray-500 text-sm mb-6">New code in {secondsLeft}s</p>
+            <div className="flex flex-wrap gap-2">
+              {attendees.map(attendee => (
+                <span
+                  key={attendee.userId}
+                  className={`flex items-center gap-1 px-3 py-1 rounded-full text-xs ${
+                    checkedInIds.includes(attendee.userId)
+                      ? 'bg-green-500/20 text-green-300'
+                      : 'bg-slate-700/50 text-gray-400'
+                  }`}
+                >
+                  {checkedInIds.includes(attendee.userId) && <CheckCircle size={12} />}
+                  {attendee.name}
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
+export default CheckInPanel;
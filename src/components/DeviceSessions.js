@@ -0,0 +1,143 @@
+/**
+ * Device Sessions
+ * Lists the devices signed in to the account and lets the user sign out
+ * the ones they don't recognise
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import { authAPI } from '../services/api';
+
+const isMobile = (device) => /mobile|android|iphone|ipad/i.test(device.userAgent || device.deviceName || '');
+
+// Short "Chrome on Windows" style label from the user agent
+const describeDevice = (device) => {
+  if (device.deviceName) return device.deviceName;
+  const ua = device.userAgent || '';
+  const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => ua.includes(name));
+  const os = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find(name => ua.includes(name));
+  if (!browser && !os) return 'Unknown device';
+  return [browser === 'Edg' ? 'Edge' : browser, os && `on ${os}`].filter(Boolean).join(' ');
+};
+
+function DeviceSessions() {
+  const [devices, setDevices] = useState([]);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+
+  const loadDevices = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await authAPI.getDevices();
+      setDevices(Array.isArray(result) ? result : []);
+      setError('');
+    } catch (err) {
+      console.error('Error loading devices:', err);
+      setError(err.offline ? 'Connect to the internet to see your devices.' : 'Could not load your devices.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDevices();
+  }, [loadDevices]);
+
+  const handleRevoke = async (device) => {
+    if (!window.confirm(`Sign out ${describeDevice(device)}?`)) return;
+    setBusy(device.id);
+    try {
+      await authAPI.revokeDevice(device.id);
+      await loadDevices();
+    } catch (err) {
+      console.error('Error signing out device:', err);
+      alert(err.message || 'Failed to sign out device. Please try again.');
+    }
+    setBusy(null);
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out every other device? They will need to sign in again.')) return;
+    setBusy('others');
+    try {
+      await authAPI.revokeOtherDevices();
+      await loadDevices();
+    } catch (err) {
+      console.error('Error signing out other devices:', err);
+      alert(err.message || 'Failed to sign out other devices. Please try again.');
+    }
+    setBusy(null);
+  };
+
+  const otherDevices = devices.filter(device => !device.current);
+
+  return (
+    <div className="glass rounded-2xl p-8 border border-purple-500/20 mb-8">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Devices</h2>
+          <p className="text-gray-400 text-sm">Where you're signed in right now</p>
+        </div>
+        {otherDevices.length > 0 && (
+          <button
+            onClick={handleRevokeOthers}
+            disabled={busy !== null}
+            className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg border border-red-500/40 text-red-300 hover:bg-red-500/10 transition-colors disabled:opacity-50"
+          >
+            <LogOut size={16} />
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="text-gray-400">Loading devices...</p>
+      ) : error ? (
+        <p className="text-gray-400">{error}</p>
+      ) : (
+        <div className="space-y-3">
+          {devices.map(device => {
+            const Icon = isMobile(device) ? Smartphone : Monitor;
+            return (
+              <div
+                key={device.id}
+                className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 rounded-lg bg-slate-800/40 border border-purple-500/10"
+              >
+                <div className="flex items-center gap-3 min-w-0">
+                  <Icon className="text-purple-400 shrink-0" size={24} />
+                  <div className="min-w-0">
+                    <p className="text-white truncate">
+                      {describeDevice(device)}
+                      {device.current && (
+                        <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-green-500/20 text-green-300 border border-green-500/30">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-gray-500 text-xs">
+                      {device.ip && `${device.ip} · `}
+                      Last active {new Date(device.lastActiveAt || device.createdAt).toLocaleString()}
+                    </p>
+                  </div>
+                </div>
+                {!device.current && (
+                  <button
+                    onClick={() => handleRevoke(device)}
+                    disabled={busy !== null}
+                    className="flex items-center gap-1 px-3 py-2 text-sm rounded-lg border border-red-500/40 text-red-300 hover:bg-red-500/10 transition-colors disabled:opacity-50 shrink-0"
+                  >
+                    <LogOut size={14} />
+                    Sign out
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DeviceSessions;
@@ -0,0 +1,224 @@
+/**
+ * Guest Upgrade Dialog
+ * Turns a guest account into a registered one, keeping its userId and history,
+ * or merges it into an existing account that already uses the email
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { UserPlus, Mail, Lock, X, AlertCircle, GitMerge } from 'lucide-react';
+import { userAPI, getAccessToken } from '../services/api';
+import { userDB } from '../db/database';
+import { validateEmail, normalizeEmail } from '../utils/emailValidation';
+
+// Guests were created with a placeholder email; new guests can no longer sign in.
+// An upgraded guest keeps its `guest-` userId, so only the email tells them apart.
+export const isGuestAccount = (user) => Boolean(user?.email?.endsWith('@guest.local'));
+
+function GuestUpgradeDialog({ currentUser, onClose, onUpgraded }) {
+  const [formData, setFormData] = useState({
+    name: currentUser?.name?.startsWith('Guest') ? '' : currentUser?.name || '',
+    email: '',
+    password: '',
+    confirmPassword: ''
+  });
+  // Set once the server says the email already belongs to an account
+  const [mergeMode, setMergeMode] = useState(false);
+  // Set when another device already holds this guest's credential
+  const [claimFailed, setClaimFailed] = useState(false);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    if (e.target.name === 'email') setMergeMode(false);
+    setError('');
+  };
+
+  const validate = () => {
+    if (!mergeMode && !formData.name.trim()) return 'Name is required';
+    const emailError = validateEmail(formData.email);
+    if (emailError) return emailError;
+    if (mergeMode) {
+      return formData.password ? '' : 'Enter the password of your existing account';
+    }
+    if (formData.password.length < 6) return 'Password must be at least 6 characters';
+    if (formData.password !== formData.confirmPassword) return 'Passwords do not match';
+    return '';
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validate();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const guestId = currentUser.userId;
+      // Guests from before guest credentials claim theirs first (see userDB.claimGuest)
+      if (!getAccessToken()) {
+        await userDB.claimGuest(currentUser);
+      }
+      const result = await userAPI.upgradeGuest(guestId, {
+        name: formData.name.trim() || currentUser.name,
+        email: normalizeEmail(formData.email),
+        password: formData.password,
+        merge: mergeMode
+      });
+
+      const user = result.user;
+      if (result.merged && user.userId !== guestId) {
+        await userDB.reassignLocalData(guestId, user.userId);
+      }
+      await userDB.cacheUser(user);
+      onUpgraded(user, Boolean(result.merged));
+    } catch (err) {
+      console.error('Guest upgrade error:', err);
+      if (err.code === 'EMAIL_TAKEN') {
+        setMergeMode(true);
+        setFormData(prev => ({ ...prev, password: '', confirmPassword: '' }));
+        setError('');
+      } else if (err.code === 'GUEST_UNVERIFIED' || err.code === 'CONFLICT') {
+        setClaimFailed(true);
+        setError('This guest account could not be verified on this device. If you upgraded it elsewhere, sign in with that account; otherwise create a new one.');
+      } else if (err.code === 'UNAUTHORIZED') {
+        setError('That password does not match the existing account.');
+      } else if (err.offline) {
+        setError('You need to be online to upgrade your account.');
+      } else {
+        setError(err.message || 'Upgrade failed. Please try again.');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full pl-11 pr-4 py-3 bg-slate-800/50 border border-purple-500/30 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 transition-all';
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        onClick={onClose}
+      >
+        <motion.div
+          className="glass rounded-2xl border border-purple-500/30 w-full max-w-md p-8"
+          initial={{ opacity: 0, scale: 0.8, y: 50 }}
+          animate={{ opacity: 1, scale: 1, y: 0 }}
+          transition={{ type: 'spring', stiffness: 300, damping: 30 }}
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="flex items-center justify-between mb-2">
+            <div className="flex items-center gap-3">
+              {mergeMode ? (
+                <GitMerge className="text-purple-400" size={24} />
+              ) : (
+                <UserPlus className="text-purple-400" size={24} />
+              )}
+              <h2 className="text-2xl font-bold text-white">
+                {mergeMode ? 'Merge Into Your Account' : 'Create Your Account'}
+              </h2>
+            </div>
+            <button onClick={onClose} className="text-gray-400 hover:text-white transition-colors">
+              <X size={20} />
+            </button>
+          </div>
+          <p className="text-gray-400 mb-6">
+            {mergeMode
+              ? `${normalizeEmail(formData.email)} already has an account. Enter its password and your guest sessions, points, badges and certificates will be moved into it.`
+              : 'Keep your sessions, points, badges and certificates by adding an email and password to this guest account.'}
+          </p>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-500/20 border border-red-500/50 rounded-lg flex items-center gap-2 text-red-300">
+              <AlertCircle size={18} />
+              <span className="text-sm">{error}</span>
+            </div>
+          )}
+
+          {claimFailed && (
+            <div className="mb-4 flex gap-3 text-sm">
+              <Link to="/login" onClick={onClose} className="text-purple-300 hover:text-purple-200">
+                Sign in
+              </Link>
+              <Link to="/signup" onClick={onClose} className="text-purple-300 hover:text-purple-200">
+                Create an account
+              </Link>
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+            {!mergeMode && (
+              <div className="relative">
+                <UserPlus className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+                <input
+                  name="name"
+                  type="text"
+                  value={formData.name}
+                  onChange={handleChange}
+                  className={inputClass}
+                  placeholder="Your full name"
+                />
+              </div>
+            )}
+            <div className="relative">
+              <Mail className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+              <input
+                name="email"
+                type="email"
+                value={formData.email}
+                onChange={handleChange}
+                className={inputClass}
+                placeholder="your@email.com"
+              />
+            </div>
+            <div className="relative">
+              <Lock className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+              <input
+                name="password"
+                type="password"
+                value={formData.password}
+                onChange={handleChange}
+                className={inputClass}
+                placeholder={mergeMode ? 'Existing account password' : 'At least 6 characters'}
+              />
+            </div>
+            {!mergeMode && (
+              <div className="relative">
+                <Lock className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+                <input
+                  name="confirmPassword"
+                  type="password"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  className={inputClass}
+                  placeholder="Re-enter your password"
+                />
+              </div>
+            )}
+
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              type="submit"
+              disabled={saving}
+              className="w-full bg-gradient-to-r from-purple-500 to-pink-600 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : mergeMode ? 'Merge Accounts' : 'Create Account'}
+            </motion.button>
+          </form>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
+
+export default GuestUpgradeDialog;
@@ -3,16 +3,33 @@
  * Navigation and user indicator
  */
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { Menu, X, LogIn, UserPlus, LogOut } from 'lucide-react';
-
-function Navbar({ currentUser, isOnline, onLogout }) {
+import { syncQueueDB, onDataChange } from '../db/database';
+import { can } from '../utils/roles';
+import { useAuth } from '../context/AuthContext';
+import { handleAvatarError } from '../services/auth';
+import NotificationBell from './NotificationBell';
+
+function Navbar({ isOnline }) {
+  const { currentUser, avatarUrl, logout } = useAuth();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const [pendingCount, setPendingCount] = useState(0);
   const location = useLocation();
   const navigate = useNavigate();
 
+  // Number of offline changes still waiting to reach the server
+  useEffect(() => {
+    if (!currentUser) return undefined;
+    const loadPending = async () => {
+      setPendingCount((await syncQueueDB.getUnsynced()).length);
+    };
+    loadPending();
+    return onDataChange('syncQueue', loadPending);
+  }, [currentUser]);
+
   const links = [
     { label: 'Home', path: '/' },
     { label: 'Sessions', path: '/sessions' },
@@ -20,14 +37,20 @@ function Navbar({ currentUser, isOnline, onLogout }) {
     { label: 'Leaderboard', path: '/leaderboard' },
     { label: 'Skills', path: '/skills' },
     { label: 'Certificates', path: '/certificates' },
-    { label: 'Profile', path: '/profile' }
+    { label: 'Profile', path: '/profile' },
+    ...(can(currentUser, 'admin:dashboard') ? [{ label: 'Admin', path: '/admin' }] : [])
   ];
 
   const isActive = (path) => location.pathname === path;
 
-  const handleLogout = () => {
-    localStorage.removeItem('userId');
-    onLogout();
+  const handleLogout = async () => {
+    // Logging out wipes this device's copy, including changes not yet synced
+    if (pendingCount > 0 && !window.confirm(
+      `You have ${pendingCount} change${pendingCount === 1 ? '' : 's'} that haven't synced yet and will be lost. Log out anyway?`
+    )) {
+      return;
+    }
+    await logout();
     navigate('/login');
   };
 
@@ -35,15 +58,6 @@ function Navbar({ currentUser, isOnline, onLogout }) {
     currentUser?.name?.startsWith('Guest') ||
     currentUser?.name?.startsWith('Student');
 
-  const isGoogleUser = currentUser?.authProvider === 'google';
-
-  // ✅ FIX: Ensure Google photos always include a valid size token
-  const getGooglePhoto = (url) => {
-    if (!url) return '';
-    if (!url.startsWith('https://lh3.googleusercontent.com')) return url;
-    return url.includes('=') ? url : `${url}=s96-c`;
-  };
-
   return (
     <nav className="sticky top-0 z-40 glass-dark shadow-2xl border-b border-purple-500/20">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
@@ -80,8 +94,12 @@ function Navbar({ currentUser, isOnline, onLogout }) {
 
           {/* Right Section */}
           <div className="flex items-center gap-3">
-            {/* Online Status */}
-            <div className="flex items-center gap-2">
+            {/* Online Status - opens the sync center */}
+            <Link
+              to={currentUser ? '/sync' : '/login'}
+              className="flex items-center gap-2 px-2 py-1 rounded-lg hover:bg-purple-500/10 transition-colors"
+              title={currentUser ? 'Sync center' : undefined}
+            >
               <motion.div
                 animate={{ scale: isOnline ? [1, 1.2, 1] : 1 }}
                 transition={{ duration: 2, repeat: Infinity }}
@@ -92,38 +110,28 @@ function Navbar({ currentUser, isOnline, onLogout }) {
               <span className="hidden sm:inline text-xs text-gray-400">
                 {isOnline ? 'Online' : 'Offline'}
               </span>
-            </div>
+              {currentUser && pendingCount > 0 && (
+                <span className="text-xs font-semibold px-2 py-0.5 rounded-full bg-yellow-500/20 text-yellow-300 border border-yellow-500/30">
+                  {pendingCount}
+                </span>
+              )}
+            </Link>
 
             {/* Auth Buttons or User Avatar */}
             {currentUser ? (
               <div className="flex items-center gap-2">
+                <NotificationBell currentUser={currentUser} />
+
                 {/* User Avatar */}
                 <Link
                   to="/profile"
                   className="w-10 h-10 rounded-full overflow-hidden border-2 border-purple-400 hover:border-pink-400 transition-all cursor-pointer hover:shadow-lg"
                 >
                   <img
-                    src={
-                      isGoogleUser
-                        ? getGooglePhoto(
-                            currentUser?.profilePicture ||
-                              currentUser?.photoURL
-                          )
-                        : currentUser?.profilePicture ||
-                          currentUser?.photoURL ||
-                          `https://i.pravatar.cc/150?u=${currentUser?.userId}`
-                    }
+                    src={avatarUrl}
                     alt={currentUser.name}
                     referrerPolicy="no-referrer"
-                    onError={(e) => {
-                      e.currentTarget.onerror = null;
-                      if (isGoogleUser) {
-                        e.currentTarget.src =
-                          'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="150" height="150"><rect width="100%" height="100%" fill="%23374151"/><text x="50%" y="50%" fill="%239CA3AF" font-size="36" text-anchor="middle" dominant-baseline="middle">?</text></svg>';
-                      } else {
-                        e.currentTarget.src = `https://i.pravatar.cc/150?u=${currentUser?.userId}`;
-                      }
-                    }}
+                    onError={handleAvatarError(currentUser)}
                     className="w-full h-full object-cover"
                   />
                 </Link>
@@ -0,0 +1,101 @@
+/**
+ * Notification Bell
+ * Navbar bell with the unread count and a dropdown of recent notifications
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Bell } from 'lucide-react';
+import { notificationDB, onDataChange } from '../db/database';
+
+// Notifications are created on the server, so check for new ones regularly
+const POLL_INTERVAL = 60000;
+
+function NotificationBell({ currentUser }) {
+  const [notifications, setNotifications] = useState([]);
+  const [open, setOpen] = useState(false);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      setNotifications(await notificationDB.getUserNotifications(currentUser.userId));
+    } catch (error) {
+      console.warn('Failed to load notifications:', error);
+    }
+  }, [currentUser.userId]);
+
+  useEffect(() => {
+    loadNotifications();
+    const timer = setInterval(() => {
+      if (navigator.onLine) loadNotifications();
+    }, POLL_INTERVAL);
+    const unsubscribe = onDataChange('notifications', loadNotifications);
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+    };
+  }, [loadNotifications]);
+
+  const unread = notifications.filter(n => !n.read);
+
+  const handleOpen = (notification) => {
+    setOpen(false);
+    if (!notification.read) {
+      notificationDB.markRead(notification.notificationId)
+        .catch(error => console.warn('Failed to mark notification read:', error));
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 text-gray-300 hover:text-white transition-colors"
+        title="Notifications"
+      >
+        <Bell size={20} />
+        {unread.length > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-pink-500 text-white text-xs font-semibold flex items-center justify-center">
+            {unread.length}
+          </span>
+        )}
+      </button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className="absolute right-0 mt-2 w-80 glass-dark rounded-xl border border-purple-500/30 shadow-2xl overflow-hidden z-50"
+          >
+            <p className="px-4 py-3 text-white font-semibold border-b border-purple-500/20">Notifications</p>
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-gray-400 text-sm text-center">Nothing new</p>
+            ) : (
+              <div className="max-h-96 overflow-y-auto">
+                {notifications.slice(0, 20).map(notification => (
+                  <Link
+                    key={notification.notificationId}
+                    to={notification.sessionId ? `/sessions/${notification.sessionId}` : '#'}
+                    onClick={() => handleOpen(notification)}
+                    className={`block px-4 py-3 border-b border-purple-500/10 hover:bg-purple-500/10 transition-colors ${
+                      notification.read ? 'opacity-60' : ''
+                    }`}
+                  >
+                    <p className="text-white text-sm">{notification.message}</p>
+                    <p className="text-gray-500 text-xs mt-1">
+                      {new Date(notification.createdAt).toLocaleString()}
+                    </p>
+                  </Link>
+                ))}
+              </div>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,38 @@
+/**
+ * Offline State Component
+ * Shown in place of an empty list when the data could not be loaded
+ * because the app is offline and nothing was cached yet
+ */
+
+import React from 'react';
+import { motion } from 'framer-motion';
+import { WifiOff } from 'lucide-react';
+
+function OfflineState({ what = 'this page', onRetry }) {
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="text-center py-16"
+    >
+      <WifiOff className="w-16 h-16 text-gray-600 mx-auto mb-4 opacity-50" />
+      <p className="text-gray-400 text-lg">You're offline</p>
+      <p className="text-gray-500 text-sm mb-6">
+        {what.charAt(0).toUpperCase() + what.slice(1)} hasn't been saved on this device yet.
+        Reconnect to load it.
+      </p>
+      {onRetry && (
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={onRetry}
+          className="px-6 py-2 rounded-lg border border-purple-500/40 text-purple-300 hover:bg-purple-500/10 transition-all"
+        >
+          Try Again
+        </motion.button>
+      )}
+    </motion.div>
+  );
+}
+
+export default OfflineState;
@@ -0,0 +1,85 @@
+/**
+ * Overdue Sessions Prompt
+ * Reminds the signed-in mentor to complete sessions that have ended
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Clock, X } from 'lucide-react';
+import { sessionDB, onDataChange } from '../db/database';
+import { isOverdue, getEndTime, applyLifecycle, AUTO_CLOSE_AFTER_HOURS } from '../utils/sessionLifecycle';
+
+const TICK_INTERVAL = 60000;
+
+function OverdueSessionsPrompt({ currentUser }) {
+  const [sessions, setSessions] = useState([]);
+  const [now, setNow] = useState(new Date());
+  const [dismissed, setDismissed] = useState([]);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await sessionDB.getSessionsByCreator(currentUser.userId) || []);
+    } catch (error) {
+      console.warn('Failed to load sessions for lifecycle:', error);
+    }
+  }, [currentUser.userId]);
+
+  useEffect(() => {
+    loadSessions();
+    const timer = setInterval(() => setNow(new Date()), TICK_INTERVAL);
+    const unsubscribe = onDataChange('sessions', loadSessions);
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+    };
+  }, [currentUser.userId, loadSessions]);
+
+  // Statuses were derived when loaded; bring them up to the current tick
+  const overdue = sessions.map(session => applyLifecycle(session, now)).filter(session =>
+    isOverdue(session, now) && !dismissed.includes(session.sessionId)
+  );
+
+  return (
+    <div className="fixed bottom-4 right-4 z-40 space-y-3 w-80">
+      <AnimatePresence>
+        {overdue.slice(0, 3).map(session => (
+          <motion.div
+            key={session.sessionId}
+            initial={{ opacity: 0, x: 50 }}
+            animate={{ opacity: 1, x: 0 }}
+            exit={{ opacity: 0, x: 50 }}
+            className="glass-dark rounded-xl p-4 border border-yellow-500/40 shadow-2xl"
+          >
+            <div className="flex items-start gap-3">
+              <Clock className="text-yellow-400 flex-shrink-0 mt-0.5" size={20} />
+              <div className="flex-1 min-w-0">
+                <p className="text-white text-sm font-semibold truncate">{session.title}</p>
+                <p className="text-gray-400 text-xs mt-1">
+                  Ended {getEndTime(session).toLocaleString()}. Complete it to award points —
+                  it closes automatically {AUTO_CLOSE_AFTER_HOURS}h after the end.
+                </p>
+                <Link
+                  to={`/sessions/${session.sessionId}`}
+                  onClick={() => setDismissed(prev => [...prev, session.sessionId])}
+                  className="inline-block mt-2 text-sm text-yellow-300 hover:text-yellow-200"
+                >
+                  Complete session →
+                </Link>
+              </div>
+              <button
+                onClick={() => setDismissed(prev => [...prev, session.sessionId])}
+                className="text-gray-500 hover:text-white"
+                title="Remind me later"
+              >
+                <X size={16} />
+              </button>
+            </div>
+          </motion.div>
+        ))}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default OverdueSessionsPrompt;
@@ -1,17 +1,24 @@
 /**
  * PrivateRoute Component
- * Redirects to login if user is not authenticated
+ * Redirects to login if user is not authenticated, and home if the
+ * user's role is not one of the allowed `roles`
  */
 
 import React from 'react';
 import { Navigate } from 'react-router-dom';
+import { hasRole } from '../utils/roles';
 
-function PrivateRoute({ children, currentUser }) {
+function PrivateRoute({ children, currentUser, roles }) {
   // If no user is logged in, redirect to login page
   if (!currentUser) {
     return <Navigate to="/login" replace />;
   }
 
+  // Logged in, but this page is for other roles
+  if (roles && !hasRole(currentUser, roles)) {
+    return <Navigate to="/" replace />;
+  }
+
   // If user is logged in, show the protected content
   return children;
 }
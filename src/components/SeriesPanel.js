@@ -0,0 +1,111 @@
+/**
+ * Series Panel
+ * Occurrences of a recurring session series, with series-wide edit and
+ * cancel actions (single occurrences use the session's own buttons)
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Repeat, Edit2, XCircle } from 'lucide-react';
+import { sessionDB } from '../db/database';
+import { describeRule } from '../utils/recurrence';
+
+const STATUS_STYLES = {
+  scheduled: 'bg-blue-500/20 text-blue-300',
+  ongoing: 'bg-purple-500/20 text-purple-300',
+  completed: 'bg-green-500/20 text-green-300',
+  cancelled: 'bg-red-500/20 text-red-300'
+};
+
+function SeriesPanel({ session, occurrences, currentUser, canManage, onChanged }) {
+  const upcoming = occurrences.filter(o =>
+    o.status === 'scheduled' && new Date(o.dateTime) >= new Date(session.dateTime)
+  );
+
+  const handleCancelSeries = async () => {
+    const reason = window.prompt(
+      `Cancel this and the ${upcoming.length - 1} following session(s) in the series? Attendees will see this reason.`
+    );
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert('Please give a reason for cancelling.');
+      return;
+    }
+
+    try {
+      await sessionDB.cancelSeries(session.seriesId, reason.trim(), {
+        fromDateTime: session.dateTime,
+        editor: { userId: currentUser.userId, name: currentUser.name }
+      });
+      onChanged();
+    } catch (error) {
+      console.error('Error cancelling series:', error);
+      alert(`Failed to cancel: ${error.message}`);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ y: 20, opacity: 0 }}
+      animate={{ y: 0, opacity: 1 }}
+      transition={{ delay: 0.15 }}
+      className="glass rounded-2xl p-8 border border-purple-500/20 mb-8"
+    >
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <Repeat className="text-purple-400" size={24} />
+          <div>
+            <h2 className="text-2xl font-bold text-white">Series</h2>
+            <p className="text-gray-400 text-sm">{describeRule(session.recurrence)}</p>
+          </div>
+        </div>
+        {canManage && session.status === 'scheduled' && upcoming.length > 1 && (
+          <div className="flex flex-wrap gap-2">
+            <Link
+              to={`/sessions/${session.sessionId}/edit?scope=series`}
+              className="flex items-center gap-1 px-3 py-2 text-sm rounded-lg border border-purple-500/40 text-purple-300 hover:bg-purple-500/10 transition-colors"
+            >
+              <Edit2 size={14} />
+              Edit series
+            </Link>
+            <button
+              onClick={handleCancelSeries}
+              className="flex items-center gap-1 px-3 py-2 text-sm rounded-lg border border-red-500/40 text-red-300 hover:bg-red-500/10 transition-colors"
+            >
+              <XCircle size={14} />
+              Cancel rest of series
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        {occurrences.map(occurrence => {
+          const isCurrent = occurrence.sessionId === session.sessionId;
+          return (
+            <Link
+              key={occurrence.sessionId}
+              to={`/sessions/${occurrence.sessionId}`}
+              className={`flex items-center justify-between gap-3 p-3 rounded-lg border transition-colors ${
+                isCurrent
+                  ? 'bg-purple-500/20 border-purple-500/50'
+                  : 'bg-slate-800/40 border-purple-500/10 hover:border-purple-500/30'
+              }`}
+            >
+              <span className="text-white">
+                <span className="text-gray-500 mr-2">#{occurrence.occurrence}</span>
+                {new Date(occurrence.dateTime).toLocaleString()}
+              </span>
+              <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[occurrence.status] || ''}`}>
+                {occurrence.status}
+              </span>
+            </Link>
+          );
+        })}
+      </div>
+    </motion.div>
+  );
+}
+
+export default SeriesPanel;
@@ -6,8 +6,11 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { Calendar, MapPin, Users, Trophy, Clock } from 'lucide-react';
+import { Calendar, MapPin, Users, Trophy, Clock, CalendarPlus } from 'lucide-react';
 import { attendeeDB } from '../db/database';
+import { waitlistPosition } from '../utils/waitlist';
+import { getDuration, formatDuration, isOverdue } from '../utils/sessionLifecycle';
+import { downloadSessionICS } from '../utils/ical';
 
 function SessionCard({ session, currentUser }) {
   const [isAttending, setIsAttending] = useState(false);
@@ -45,6 +48,8 @@ function SessionCard({ session, currentUser }) {
         return 'bg-purple-500/20 text-purple-300';
       case 'completed':
         return 'bg-green-500/20 text-green-300';
+      case 'cancelled':
+        return 'bg-red-500/20 text-red-300';
       default:
         return 'bg-gray-500/20 text-gray-300';
     }
@@ -62,6 +67,8 @@ function SessionCard({ session, currentUser }) {
 
   const isCreator = currentUser && session && String(currentUser.userId) === String(session.creatorId);
   const isFull = session.maxSeats && attendeeCount >= session.maxSeats;
+  const waitlistCount = (session.waitlist || []).length;
+  const position = currentUser ? waitlistPosition(session, currentUser.userId) : 0;
 
   return (
     <motion.div
@@ -99,6 +106,11 @@ function SessionCard({ session, currentUser }) {
             <span className={`px-3 py-1 rounded-full text-xs font-semibold ${getStatusColor(session.status)}`}>
               {session.status.charAt(0).toUpperCase() + session.status.slice(1)}
             </span>
+            {isOverdue(session) && (
+              <span className="px-3 py-1 rounded-full text-xs font-semibold bg-yellow-500/20 text-yellow-300">
+                Overdue
+              </span>
+            )}
           </div>
         </div>
 
@@ -111,7 +123,7 @@ function SessionCard({ session, currentUser }) {
         <div className="space-y-2 mb-4">
           <div className="flex items-center gap-2 text-gray-400 text-sm">
             <Calendar size={16} />
-            {formatDate(session.dateTime)}
+            {formatDate(session.dateTime)} · {formatDuration(getDuration(session))}
           </div>
           <div className="flex items-center gap-2 text-gray-400 text-sm">
             <MapPin size={16} />
@@ -120,6 +132,7 @@ function SessionCard({ session, currentUser }) {
           <div className="flex items-center gap-2 text-gray-400 text-sm">
             <Users size={16} />
             {attendeeCount} {session.maxSeats ? `/ ${session.maxSeats}` : ''} attendees
+            {waitlistCount > 0 && <span className="text-yellow-400">· {waitlistCount} waitlisted</span>}
           </div>
           {session.creatorName && (
             <div className="flex items-center gap-2 text-gray-400 text-sm">
@@ -143,19 +156,38 @@ function SessionCard({ session, currentUser }) {
           </div>
         )}
 
-        {/* Action Button */}
-        <Link
-          to={`/sessions/${session.sessionId}`}
-          className={`w-full py-2 rounded-lg font-semibold text-center transition-all inline-block ${
-            isAttending
-              ? 'bg-green-500/20 text-green-300 border border-green-500/30 hover:bg-green-500/30'
+        {/* Action Buttons */}
+        <div className="flex gap-2">
+          <Link
+            to={`/sessions/${session.sessionId}`}
+            className={`flex-1 py-2 rounded-lg font-semibold text-center transition-all inline-block ${
+              isAttending
+                ? 'bg-green-500/20 text-green-300 border border-green-500/30 hover:bg-green-500/30'
+                : position > 0
+                ? 'bg-yellow-500/20 text-yellow-300 border border-yellow-500/30 hover:bg-yellow-500/30'
+                : isFull && !isCreator
+                ? 'bg-gray-500/20 text-gray-300 border border-gray-500/30 hover:bg-gray-500/30'
+                : 'bg-gradient-to-r from-purple-500 to-pink-600 text-white hover:shadow-lg hover:shadow-purple-500/50'
+            }`}
+          >
+            {isAttending
+              ? '✓ Attending'
+              : position > 0
+              ? `Waitlisted #${position}`
               : isFull && !isCreator
-              ? 'bg-gray-500/20 text-gray-400 border border-gray-500/30 cursor-not-allowed'
-              : 'bg-gradient-to-r from-purple-500 to-pink-600 text-white hover:shadow-lg hover:shadow-purple-500/50'
-          }`}
-        >
-          {isAttending ? '✓ Attending' : isFull && !isCreator ? 'Session Full' : 'View Details'}
-        </Link>
+              ? 'Full · Join Waitlist'
+              : 'View Details'}
+          </Link>
+          {['scheduled', 'ongoing'].includes(session.status) && (
+            <button
+              onClick={() => downloadSessionICS(session)}
+              className="px-3 py-2 rounded-lg border border-purple-500/30 text-purple-300 hover:bg-purple-500/10 transition-colors"
+              title="Add to calendar"
+            >
+              <CalendarPlus size={18} />
+            </button>
+          )}
+        </div>
       </div>
     </motion.div>
   );
@@ -0,0 +1,61 @@
+/**
+ * Session History
+ * What changed on a session, who changed it and when
+ */
+
+import React from 'react';
+import { motion } from 'framer-motion';
+import { History } from 'lucide-react';
+import { FIELD_LABELS } from '../utils/conflictResolver';
+
+// Room changes show up through their location name
+const HIDDEN_FIELDS = ['roomId'];
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'dateTime') return new Date(value).toLocaleString();
+  return String(value);
+};
+
+function SessionHistory({ history }) {
+  // Newest first
+  const entries = [...history].sort((a, b) => new Date(b.at) - new Date(a.at));
+
+  return (
+    <motion.div
+      initial={{ y: 20, opacity: 0 }}
+      animate={{ y: 0, opacity: 1 }}
+      transition={{ delay: 0.25 }}
+      className="glass rounded-2xl p-8 border border-purple-500/20 mb-8"
+    >
+      <div className="flex items-center gap-3 mb-6">
+        <History className="text-purple-400" size={24} />
+        <h2 className="text-2xl font-bold text-white">Change History</h2>
+      </div>
+      <div className="space-y-4">
+        {entries.map((entry, index) => (
+          <div key={`${entry.at}-${index}`} className="p-4 rounded-lg bg-slate-800/40 border border-purple-500/10">
+            <p className="text-gray-400 text-sm mb-2">
+              {new Date(entry.at).toLocaleString()}
+              {entry.byName && ` · ${entry.byName}`}
+            </p>
+            <ul className="space-y-1">
+              {Object.entries(entry.changes || {})
+                .filter(([field]) => !HIDDEN_FIELDS.includes(field))
+                .map(([field, { from, to }]) => (
+                  <li key={field} className="text-sm text-gray-300">
+                    <span className="text-white font-medium">{FIELD_LABELS[field] || field}:</span>{' '}
+                    <span className="line-through text-gray-500">{formatValue(field, from)}</span>
+                    {' → '}
+                    <span>{formatValue(field, to)}</span>
+                  </li>
+                ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </motion.div>
+  );
+}
+
+export default SessionHistory;
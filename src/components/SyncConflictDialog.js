@@ -0,0 +1,137 @@
+/**
+ * Sync Conflict Dialog
+ * Asks the user which version to keep when an offline edit clashes with
+ * a change made on another device
+ */
+
+import React, { useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { AlertCircle, Smartphone, Cloud } from 'lucide-react';
+import { syncQueueDB, onDataChange } from '../db/database';
+import { FIELD_LABELS } from '../utils/conflictResolver';
+
+const formatValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return '(empty)';
+  if (field === 'dateTime') return new Date(value).toLocaleString();
+  return String(value);
+};
+
+function SyncConflictDialog() {
+  const [conflicts, setConflicts] = useState([]);
+  const [choices, setChoices] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadConflicts = async () => {
+      setConflicts(await syncQueueDB.getConflicts());
+    };
+    loadConflicts();
+    return onDataChange('syncQueue', loadConflicts);
+  }, []);
+
+  const current = conflicts[0];
+
+  useEffect(() => {
+    setChoices({});
+  }, [current?.id]);
+
+  if (!current) return null;
+
+  const recordLabel = current.dataType === 'user' ? 'your profile' : 'this session';
+  const allChosen = current.conflicts.every(c => choices[c.field]);
+
+  const handleResolve = async () => {
+    setSaving(true);
+    try {
+      await syncQueueDB.resolveConflict(current.id, choices);
+    } catch (error) {
+      console.error('Error resolving sync conflict:', error);
+      alert('Failed to save your choice. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+      >
+        <motion.div
+          className="glass rounded-2xl border border-yellow-500/30 w-full max-w-lg p-8"
+          initial={{ opacity: 0, scale: 0.8, y: 50 }}
+          animate={{ opacity: 1, scale: 1, y: 0 }}
+          transition={{ type: 'spring', stiffness: 300, damping: 30 }}
+        >
+          <div className="flex items-center gap-3 mb-2">
+            <AlertCircle className="text-yellow-400" size={24} />
+            <h2 className="text-2xl font-bold text-white">Resolve Sync Conflict</h2>
+          </div>
+          <p className="text-gray-400 mb-6">
+            You edited {recordLabel} while offline, but it was also changed on another device.
+            Choose which version to keep for each field.
+          </p>
+
+          <div className="space-y-4 mb-6">
+            {current.conflicts.map(({ field, local, remote }) => (
+              <div key={field}>
+                <p className="text-white font-semibold mb-2">{FIELD_LABELS[field] || field}</p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                  <button
+                    onClick={() => setChoices(prev => ({ ...prev, [field]: 'local' }))}
+                    className={`text-left p-3 rounded-lg border transition-all ${
+                      choices[field] === 'local'
+                        ? 'border-purple-400 bg-purple-500/20'
+                        : 'border-purple-500/20 hover:border-purple-500/40'
+                    }`}
+                  >
+                    <span className="flex items-center gap-2 text-xs text-purple-300 mb-1">
+                      <Smartphone size={14} />
+                      Your version
+                    </span>
+                    <span className="text-gray-200 text-sm break-words">{formatValue(field, local)}</span>
+                  </button>
+                  <button
+                    onClick={() => setChoices(prev => ({ ...prev, [field]: 'remote' }))}
+                    className={`text-left p-3 rounded-lg border transition-all ${
+                      choices[field] === 'remote'
+                        ? 'border-blue-400 bg-blue-500/20'
+                        : 'border-blue-500/20 hover:border-blue-500/40'
+                    }`}
+                  >
+                    <span className="flex items-center gap-2 text-xs text-blue-300 mb-1">
+                      <Cloud size={14} />
+                      Other device
+                    </span>
+                    <span className="text-gray-200 text-sm break-words">{formatValue(field, remote)}</span>
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {conflicts.length > 1 && (
+            <p className="text-gray-500 text-xs mb-4">
+              {conflicts.length - 1} more conflict{conflicts.length > 2 ? 's' : ''} waiting
+            </p>
+          )}
+
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={handleResolve}
+            disabled={!allChosen || saving}
+            className="w-full bg-gradient-to-r from-purple-500 to-pink-600 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Keep Selected Versions'}
+          </motion.button>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
+
+export default SyncConflictDialog;
@@ -0,0 +1,94 @@
+/**
+ * Auth Context
+ * Shares the signed-in user and the auth actions with the whole app
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import authService, { getAvatarUrl } from '../services/auth';
+import { setCurrentRole, AUTH_EXPIRED_EVENT } from '../services/api';
+import { getRole } from '../utils/roles';
+
+const AuthContext = createContext(null);
+
+export function AuthProvider({ children }) {
+  const [currentUser, setCurrentUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const login = useCallback(async (user) => {
+    setCurrentUser(await authService.completeLogin(user));
+  }, []);
+
+  const logout = useCallback(async (options) => {
+    setCurrentUser(null);
+    await authService.logout(options);
+  }, []);
+
+  const refreshSession = useCallback(async () => {
+    if (!currentUser) return;
+    const user = await authService.refreshSession(currentUser);
+    if (!user) {
+      console.log('Auth: server session ended, logging out');
+      await logout({ revoke: false });
+    } else if (user !== currentUser) {
+      setCurrentUser(user);
+    }
+  }, [currentUser, logout]);
+
+  // Restore the session (or finish a Google sign-in) once on load
+  useEffect(() => {
+    authService.restoreSession()
+      .then(user => setCurrentUser(user))
+      .catch(error => console.error('Auth: failed to restore session', error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Keep the role sent with API calls in step with the signed-in user
+  useEffect(() => {
+    setCurrentRole(currentUser ? getRole(currentUser) : null);
+  }, [currentUser]);
+
+  // Re-check the session after sign-in and whenever the connection comes back.
+  // Keyed on the userId so refreshing the user record doesn't trigger it again.
+  const refreshRef = useRef(refreshSession);
+  refreshRef.current = refreshSession;
+  const signedInAs = currentUser?.userId;
+  useEffect(() => {
+    if (!signedInAs) return undefined;
+    const handleOnline = () => refreshRef.current();
+    handleOnline();
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [signedInAs]);
+
+  // Refresh token rejected - the user has to sign in again
+  useEffect(() => {
+    const handleExpired = () => {
+      console.log('Auth: session expired, logging out');
+      logout({ revoke: false });
+    };
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, [logout]);
+
+  const value = useMemo(() => ({
+    currentUser,
+    loading,
+    avatarUrl: getAvatarUrl(currentUser),
+    login,
+    logout,
+    refreshSession,
+    signInWithGoogle: (returnTo) => authService.signInWithGoogle(returnTo)
+  }), [currentUser, loading, login, logout, refreshSession]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used inside <AuthProvider>');
+  }
+  return context;
+};
+
+export default AuthContext;
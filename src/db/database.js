@@ -1,28 +1,661 @@
 /**
- * Database Layer - MERN Stack with MongoDB
- * All database operations now go through backend API
+ * Database Layer - Offline-first facade over IndexedDB and the MongoDB backend
+ * Reads come from the local cache and are refreshed from api.js in the background;
+ * writes are persisted locally before they hit the network
  */
 
-import { userAPI, sessionAPI, feedbackAPI, certificateAPI, badgeAPI } from '../services/api';
+import { userAPI, sessionAPI, feedbackAPI, certificateAPI, badgeAPI, notificationAPI, roomAPI, isFromWorkerCache } from '../services/api';
+import localStore, { keyOf, STORES } from './localStore';
+import { getVersion } from '../utils/conflictResolver';
+import { generateOccurrences, toLocalDateTime } from '../utils/recurrence';
+import { joinOrWaitlist, leaveWaitlist, fillSeats, validateMaxSeats } from '../utils/waitlist';
+import { applyLifecycle } from '../utils/sessionLifecycle';
 
-// Export API with backward-compatible names
-export const userDB = userAPI;
-export const sessionDB = sessionAPI;
-export const feedbackDB = feedbackAPI;
-export const certificateDB = certificateAPI;
-export const badgeDB = badgeAPI;
+// api.js flags errors where the server was never reached (offline, DNS, CORS, timeout)
+const isNetworkError = (error) => Boolean(error?.offline);
+
+const hasData = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+// Drop local bookkeeping fields before a record is sent to the server
+const toRemote = ({ _pendingSync, ...record }) => record;
+
+const inFlight = new Map();
+
+// Merge server records into the local store. Records with unsent local changes
+// are never overwritten by the server copy.
+export const storeServerRecords = async (storeName, remote) => {
+  const records = Array.isArray(remote) ? remote : remote && !remote.message ? [remote] : [];
+  return localStore.bulkPut(storeName, records, { skip: existing => existing._pendingSync });
+};
+
+// Fetch from the network and merge the result into the local store. A stale
+// copy from the service worker's cache is only shown, never stored: it can be
+// older than local records, and the worker hands over the fresh copy itself
+// once it has revalidated (API_UPDATED, see syncManager).
+const refresh = (cacheKey, storeName, fetchRemote) => {
+  if (inFlight.has(cacheKey)) return inFlight.get(cacheKey);
+
+  const promise = (async () => {
+    try {
+      const remote = await fetchRemote();
+      if (!isFromWorkerCache(remote)) {
+        await storeServerRecords(storeName, remote);
+      }
+      return remote;
+    } finally {
+      inFlight.delete(cacheKey);
+    }
+  })();
+
+  inFlight.set(cacheKey, promise);
+  return promise;
+};
+
+// Serve cached data immediately and revalidate in the background;
+// only wait for the network when there is nothing cached yet
+const cacheFirst = async (cacheKey, storeName, readLocal, fetchRemote) => {
+  const cached = await readLocal();
+
+  if (hasData(cached)) {
+    if (navigator.onLine) {
+      refresh(cacheKey, storeName, fetchRemote)
+        .catch(error => console.warn(`Background refresh failed for ${cacheKey}:`, error));
+    }
+    return cached;
+  }
+
+  if (!navigator.onLine) return cached;
+
+  const remote = await refresh(cacheKey, storeName, fetchRemote);
+  return hasData(remote) ? remote : cached;
+};
+
+// Apply a change locally, then send it. `applyLocal` receives the current record and
+// returns the next one (or null to delete). Server rejections roll the change back and
+// rethrow. When `mutation` is given, offline changes go to the sync queue instead -
+// including while older queued changes are still waiting, so replay order is preserved.
+const persistThenSend = async (storeName, key, applyLocal, sendRemote, mutation) => {
+  const previous = await localStore.get(storeName, key);
+  const next = applyLocal(previous);
+
+  if (next) {
+    await localStore.put(storeName, { ...next, _pendingSync: true });
+  } else if (next === null) {
+    await localStore.remove(storeName, key);
+  }
+
+  const enqueue = () => syncQueueDB.addToQueue({ ...mutation, target: { store: storeName, key } });
+
+  if (mutation && (!navigator.onLine || await syncQueueDB.hasPending())) {
+    await enqueue();
+    return next;
+  }
+
+  try {
+    const remote = await sendRemote();
+    if (remote && typeof remote === 'object' && keyOf(storeName, remote)) {
+      await localStore.put(storeName, remote);
+    } else if (next) {
+      await localStore.put(storeName, next);
+    }
+    return remote;
+  } catch (error) {
+    if (isNetworkError(error)) {
+      if (mutation) {
+        await enqueue();
+      } else {
+        console.warn(`Offline - kept local ${storeName} change for ${key}`);
+      }
+      return next;
+    }
+
+    if (previous) {
+      await localStore.put(storeName, previous);
+    } else if (next) {
+      await localStore.remove(storeName, key);
+    }
+    throw error;
+  }
+};
+
+// Moderation actions need the server's say-so, so they are never applied offline.
+// The server copy (or the requested changes) is cached once it succeeds.
+const sendThenStore = async (storeName, key, changes, sendRemote) => {
+  const remote = await sendRemote();
+  await localStore.update(storeName, key, record => {
+    if (remote && typeof remote === 'object' && keyOf(storeName, remote)) return remote;
+    return record && { ...record, ...changes };
+  });
+  return remote;
+};
+
+// Edits to existing records always go through the outbox, carrying the values and
+// server version they were based on, so syncManager can detect conflicting edits
+// made elsewhere before applying them
+const persistThenQueue = async (storeName, dataType, key, changes) => {
+  const previous = await localStore.get(storeName, key);
+  const next = previous ? { ...previous, ...changes, _pendingSync: true } : undefined;
+  if (next) {
+    await localStore.put(storeName, next);
+  }
+
+  await syncQueueDB.addToQueue({
+    dataType,
+    action: 'update',
+    data: { [STORES[storeName].key]: key, changes },
+    base: Object.fromEntries(Object.keys(changes).map(field => [field, previous?.[field]])),
+    baseVersion: getVersion(previous),
+    target: { store: storeName, key }
+  });
+
+  return next ? toRemote(next) : undefined;
+};
+
+// ==================== Users ====================
+
+export const userDB = {
+  async getAllUsers() {
+    return cacheFirst('users:all', 'users',
+      () => localStore.getAll('users'),
+      () => userAPI.getAllUsers());
+  },
+
+  async getUser(userId) {
+    return cacheFirst(`users:${userId}`, 'users',
+      async () => (await localStore.get('users', userId)) || null,
+      () => userAPI.getUser(userId));
+  },
+
+  async upsertUser(userData) {
+    return persistThenSend('users', userData.userId,
+      previous => ({ ...previous, ...toRemote(userData) }),
+      () => userAPI.upsertUser(toRemote(userData)));
+  },
+
+  // Profile edits (e.g. renaming) - checked for conflicts on replay
+  async updateProfile(userId, changes) {
+    return persistThenQueue('users', 'user', userId, changes);
+  },
+
+  async login(email, password) {
+    return this.cacheUser(await userAPI.login(email, password));
+  },
+
+  // Guests made before guests had a credential get one once, by showing the
+  // server records only this device has: outbox items it applied for them,
+  // plus the sessions and feedback they created
+  async claimGuest(guest) {
+    const evidence = {
+      syncedIds: (await metaDB.get('syncedIds')) || [],
+      sessionIds: (await localStore.getAllByIndex('sessions', 'creatorId', guest.userId)).map(session => session.sessionId),
+      feedbackIds: (await localStore.getAllByIndex('feedback', 'studentId', guest.userId)).map(entry => entry.feedbackId)
+    };
+    return this.cacheUser(await userAPI.claimGuest(guest, evidence));
+  },
+
+  // Store a user record the server just returned (login, account upgrade)
+  async cacheUser(user) {
+    if (user && !user.message) {
+      await localStore.put('users', user);
+    }
+    return user;
+  },
+
+  // A guest was merged into another account - point every cached record and
+  // queued change at the surviving userId so nothing is stranded locally
+  async reassignLocalData(fromUserId, toUserId) {
+    // The guest id can sit anywhere: plain fields, lists (attendees, waitlist),
+    // keys (register) and the nested data of queued changes
+    const swap = (value) => {
+      if (value === fromUserId) return toUserId;
+      if (Array.isArray(value)) return [...new Set(value.map(swap))];
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [swap(key), swap(inner)]));
+      }
+      return value;
+    };
+    const rewrite = async (storeName) => {
+      const changed = (await localStore.getAll(storeName))
+        .map(record => [record, swap(record)])
+        .filter(([record, swapped]) => JSON.stringify(record) !== JSON.stringify(swapped))
+        .map(([, swapped]) => swapped);
+      return localStore.bulkPut(storeName, changed);
+    };
+
+    for (const storeName of ['sessions', 'feedback', 'certificates', 'badges', 'notifications', 'syncQueue']) {
+      await rewrite(storeName);
+    }
+
+    await localStore.remove('users', fromUserId);
+  },
+
+  async updateUserPoints(userId, points) {
+    const result = await persistThenSend('users', userId,
+      previous => previous && { ...previous, totalPoints: (previous.totalPoints || 0) + points },
+      () => userAPI.updateUserPoints(userId, points),
+      { dataType: 'points', action: 'add', data: { userId, points } });
+    return typeof result === 'object' ? result?.totalPoints : result;
+  },
+
+  async incrementSessionsCreated(userId) {
+    await persistThenSend('users', userId,
+      previous => previous && { ...previous, sessionsCreated: (previous.sessionsCreated || 0) + 1 },
+      () => userAPI.incrementSessionsCreated(userId));
+  },
+
+  async incrementSessionsAttended(userId) {
+    await persistThenSend('users', userId,
+      previous => previous && { ...previous, sessionsAttended: (previous.sessionsAttended || 0) + 1 },
+      () => userAPI.incrementSessionsAttended(userId));
+  }
+};
+
+// ==================== Sessions ====================
+
+// Local mirror of a counter the server maintains on join and leave
+const adjustSessionsAttended = (userId, delta) =>
+  localStore.update('users', userId, user => user && {
+    ...user,
+    sessionsAttended: Math.max(0, (user.sessionsAttended || 0) + delta)
+  });
+
+// Ongoing and auto-closed statuses follow the clock on every read instead of
+// waiting for some device to write them (see sessionLifecycle)
+const withCurrentStatus = (sessions) => {
+  if (Array.isArray(sessions)) return sessions.map(session => applyLifecycle(session));
+  return sessions && !sessions.message ? applyLifecycle(sessions) : sessions;
+};
+
+export const sessionDB = {
+  async createSession(sessionData) {
+    return persistThenSend('sessions', sessionData.sessionId,
+      () => sessionData,
+      () => sessionAPI.createSession(sessionData),
+      { dataType: 'session', action: 'create', data: sessionData });
+  },
+
+  // A recurring series is a set of ordinary sessions sharing a seriesId; each
+  // occurrence is created (or queued offline) on its own
+  async createSeries(sessionTemplate, rule) {
+    const seriesId = `series-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const occurrences = generateOccurrences(sessionTemplate.dateTime, rule);
+    const created = [];
+    for (const [index, dateTime] of occurrences.entries()) {
+      created.push(await this.createSession({
+        ...sessionTemplate,
+        sessionId: `${seriesId}-${index + 1}`,
+        seriesId,
+        occurrence: index + 1,
+        recurrence: rule,
+        dateTime,
+        attendees: []
+      }));
+    }
+    return { seriesId, sessions: created };
+  },
+
+  async getSeriesSessions(seriesId) {
+    const sessions = await cacheFirst(`sessions:series:${seriesId}`, 'sessions',
+      async () => (await localStore.getAll('sessions')).filter(session => session.seriesId === seriesId),
+      () => sessionAPI.getSeriesSessions(seriesId));
+    return withCurrentStatus([...(sessions || [])].sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime)));
+  },
+
+  // The scheduled occurrences from `fromDateTime` on (all of them by default),
+  // each with the changes it would get: `time` ("HH:mm") moves each one on its
+  // own date. Lets the edit form check every occurrence before saving.
+  async planSeriesUpdate(seriesId, changes, { fromDateTime = null, time = null } = {}) {
+    const upcoming = (await this.getSeriesSessions(seriesId)).filter(session =>
+      session.status === 'scheduled' &&
+      (!fromDateTime || new Date(session.dateTime) >= new Date(fromDateTime))
+    );
+    return upcoming.map(session => ({
+      session,
+      changes: time
+        ? { ...changes, dateTime: `${toLocalDateTime(new Date(session.dateTime)).slice(0, 10)}T${time}` }
+        : { ...changes }
+    }));
+  },
+
+  // Apply changes to the occurrences planSeriesUpdate picks.
+  // Returns the number of occurrences changed.
+  async updateSeries(seriesId, changes, { editor = null, ...options } = {}) {
+    const planned = await this.planSeriesUpdate(seriesId, changes, options);
+    for (const { session, changes: sessionChanges } of planned) {
+      if (Object.keys(sessionChanges).length === 0) continue;
+      await this.editSession(session.sessionId, sessionChanges, editor);
+    }
+    return planned.length;
+  },
+
+  async cancelSeries(seriesId, reason, options) {
+    return this.updateSeries(seriesId, { status: 'cancelled', cancellationReason: reason }, options);
+  },
+
+  async getAllSessions() {
+    return withCurrentStatus(await cacheFirst('sessions:all', 'sessions',
+      () => localStore.getAll('sessions'),
+      () => sessionAPI.getAllSessions()));
+  },
+
+  async getSession(sessionId) {
+    return withCurrentStatus(await cacheFirst(`sessions:${sessionId}`, 'sessions',
+      async () => (await localStore.get('sessions', sessionId)) || null,
+      () => sessionAPI.getSession(sessionId)));
+  },
+
+  async getSessionsByCreator(creatorId) {
+    return withCurrentStatus(await cacheFirst(`sessions:creator:${creatorId}`, 'sessions',
+      () => localStore.getAllByIndex('sessions', 'creatorId', creatorId),
+      () => sessionAPI.getSessionsByCreator(creatorId)));
+  },
+
+  async filterSessions(filters) {
+    return sessionAPI.filterSessions(filters);
+  },
+
+  // Field edits to a session - checked for conflicts on replay
+  async updateSession(sessionId, changes) {
+    return persistThenQueue('sessions', 'session', sessionId, changes);
+  },
+
+  async updateSessionStatus(sessionId, status) {
+    return this.updateSession(sessionId, { status });
+  },
+
+  // A mentor's edit: queued like any update, plus a local history entry so the
+  // change shows before the server (which keeps the real history) confirms it
+  async editSession(sessionId, changes, editor = null) {
+    const previous = await localStore.get('sessions', sessionId);
+    if ('maxSeats' in changes) {
+      const seatError = validateMaxSeats(previous, changes.maxSeats);
+      if (seatError) throw new Error(seatError);
+    }
+    const result = await this.updateSession(sessionId, changes);
+    const entry = {
+      at: new Date().toISOString(),
+      by: editor?.userId || null,
+      byName: editor?.name || null,
+      changes: Object.fromEntries(Object.entries(changes).map(([field, value]) => [
+        field, { from: previous?.[field] ?? null, to: value }
+      ]))
+    };
+    await localStore.update('sessions', sessionId, session => session && {
+      ...session,
+      history: [...(session.history || []), entry]
+    });
+    if ('maxSeats' in changes) {
+      await this.promoteWaitlist(sessionId);
+    }
+    return result;
+  },
+
+  // Hand any free seats to the waitlist after the seat limit went up. The server
+  // promotes the same users when it applies the new maxSeats; this mirrors it locally.
+  async promoteWaitlist(sessionId) {
+    let promoted = [];
+    await localStore.update('sessions', sessionId, session => {
+      if (!session) return undefined;
+      const next = fillSeats(session);
+      promoted = next.promoted;
+      return promoted.length > 0 ? next.session : undefined;
+    });
+    await Promise.all(promoted.map(id => adjustSessionsAttended(id, 1)));
+    return promoted;
+  },
+
+  async cancelSession(sessionId, reason, editor) {
+    return this.editSession(sessionId, { status: 'cancelled', cancellationReason: reason }, editor);
+  },
+
+  // Joining a full session puts the user at the back of its waitlist. Taking a
+  // seat counts as attending, mirrored in the cached counter like removeAttendee.
+  async addAttendee(sessionId, userId) {
+    let seated = false;
+    const result = await persistThenSend('sessions', sessionId,
+      previous => {
+        if (!previous) return previous;
+        const next = joinOrWaitlist(previous, userId);
+        seated = !(previous.attendees || []).includes(userId) && (next.attendees || []).includes(userId);
+        return next;
+      },
+      () => sessionAPI.addAttendee(sessionId, userId),
+      { dataType: 'attendee', action: 'join', data: { sessionId, userId } });
+
+    if (seated) {
+      await adjustSessionsAttended(userId, 1);
+    }
+    return result;
+  },
+
+  // Frees the seat and hands it to the first waitlisted user. The attendance
+  // counters are the server's; the cached copies are adjusted to match.
+  async removeAttendee(sessionId, userId, reason = '') {
+    const previous = await localStore.get('sessions', sessionId);
+    let promoted = [];
+    const result = await persistThenSend('sessions', sessionId,
+      current => {
+        if (!current) return undefined;
+        const next = fillSeats({ ...current, attendees: (current.attendees || []).filter(id => id !== userId) });
+        promoted = next.promoted;
+        return next.session;
+      },
+      () => sessionAPI.removeAttendee(sessionId, userId, reason),
+      { dataType: 'attendee', action: 'leave', data: { sessionId, userId, reason } });
+
+    if (previous?.attendees?.includes(userId)) {
+      await adjustSessionsAttended(userId, -1);
+      await Promise.all(promoted.map(id => adjustSessionsAttended(id, 1)));
+    }
+    return result;
+  },
+
+  // Mentor starts check-in. The secret seeding the rotating codes (see checkIn.js)
+  // comes from the server, which verifies codes against it, so this needs a connection.
+  // The secret is kept in meta: background refreshes replace the whole cached
+  // session with the server copy, which doesn't carry it.
+  async openCheckIn(sessionId) {
+    const { checkInSecret } = await sessionAPI.openCheckIn(sessionId);
+    await metaDB.set(`checkInSecret:${sessionId}`, checkInSecret);
+    return checkInSecret;
+  },
+
+  async getCheckInSecret(sessionId) {
+    return (await metaDB.get(`checkInSecret:${sessionId}`)) || null;
+  },
+
+  // Latest check-ins from the server, kept on the cached session too
+  async fetchCheckIns(sessionId) {
+    const { checkedIn = [] } = (await sessionAPI.getCheckIns(sessionId)) || {};
+    await localStore.update('sessions', sessionId, session => session && { ...session, checkedIn });
+    return checkedIn;
+  },
+
+  // Shown as checked in straight away; a wrong code is rolled back when the
+  // server rejects it, or fails in the sync queue if it was entered offline
+  async checkIn(sessionId, userId, code) {
+    const at = new Date().toISOString();
+    return persistThenSend('sessions', sessionId,
+      previous => previous && {
+        ...previous,
+        checkedIn: [...new Set([...(previous.checkedIn || []), userId])]
+      },
+      () => sessionAPI.checkIn(sessionId, { userId, code, at }),
+      { dataType: 'attendee', action: 'checkin', data: { sessionId, userId, code, at } });
+  },
+
+  // One register entry per call so two offline edits to different students
+  // never conflict; the server merges them into `register`
+  async markAttendance(sessionId, userId, { status, note = '' }) {
+    const entry = { status, note, markedAt: new Date().toISOString() };
+    return persistThenSend('sessions', sessionId,
+      previous => previous && {
+        ...previous,
+        register: { ...(previous.register || {}), [userId]: entry }
+      },
+      () => sessionAPI.markAttendance(sessionId, userId, entry),
+      { dataType: 'attendee', action: 'mark', data: { sessionId, userId, ...entry } });
+  },
+
+  async leaveWaitlist(sessionId, userId) {
+    return persistThenSend('sessions', sessionId,
+      previous => previous && leaveWaitlist(previous, userId),
+      () => sessionAPI.leaveWaitlist(sessionId, userId),
+      { dataType: 'waitlist', action: 'leave', data: { sessionId, userId } });
+  },
+
+  // Mentors reorder the queue online only, so two devices can't disagree on it
+  async reorderWaitlist(sessionId, waitlist) {
+    return sendThenStore('sessions', sessionId, { waitlist },
+      () => sessionAPI.reorderWaitlist(sessionId, waitlist));
+  },
+
+  async completeSession(sessionId) {
+    return this.updateSession(sessionId, { status: 'completed' });
+  },
+};
+
+// ==================== Feedback ====================
+
+export const feedbackDB = {
+  async addFeedback(feedbackData) {
+    return persistThenSend('feedback', feedbackData.feedbackId,
+      () => feedbackData,
+      () => feedbackAPI.addFeedback(feedbackData),
+      { dataType: 'feedback', action: 'create', data: feedbackData });
+  },
+
+  // Coordinators hide abusive feedback; hidden entries stay visible to them only
+  async moderateFeedback(feedbackId, { hidden, reason = '' }) {
+    return sendThenStore('feedback', feedbackId,
+      { hidden, moderationReason: reason, moderatedAt: new Date().toISOString() },
+      () => feedbackAPI.moderateFeedback(feedbackId, { hidden, reason }));
+  },
+
+  async getFeedbackForSession(sessionId) {
+    return cacheFirst(`feedback:session:${sessionId}`, 'feedback',
+      () => localStore.getAllByIndex('feedback', 'sessionId', sessionId),
+      () => feedbackAPI.getFeedbackForSession(sessionId));
+  },
+
+  async getFeedbackByStudent(studentId) {
+    return cacheFirst(`feedback:student:${studentId}`, 'feedback',
+      () => localStore.getAllByIndex('feedback', 'studentId', studentId),
+      () => feedbackAPI.getFeedbackByStudent(studentId));
+  }
+};
+
+// ==================== Certificates ====================
+
+export const certificateDB = {
+  async createCertificate(certificateData) {
+    return persistThenSend('certificates', keyOf('certificates', certificateData),
+      () => certificateData,
+      () => certificateAPI.createCertificate(certificateData));
+  },
+
+  async getUserCertificates(userId) {
+    return cacheFirst(`certificates:user:${userId}`, 'certificates',
+      () => localStore.getAllByIndex('certificates', 'userId', userId),
+      () => certificateAPI.getUserCertificates(userId));
+  },
+
+  async getCertificate(certificateId) {
+    return cacheFirst(`certificates:${certificateId}`, 'certificates',
+      async () => (await localStore.get('certificates', certificateId)) || null,
+      () => certificateAPI.getCertificate(certificateId));
+  },
+
+  async getUserCertificateStats(userId) {
+    return certificateAPI.getUserCertificateStats(userId);
+  },
+
+  async revokeCertificate(certificateId, reason = '') {
+    return sendThenStore('certificates', certificateId,
+      { revoked: true, revokedReason: reason, revokedAt: new Date().toISOString() },
+      () => certificateAPI.revokeCertificate(certificateId, reason));
+  },
+
+  async deleteCertificate(certificateId) {
+    return persistThenSend('certificates', certificateId,
+      () => null,
+      () => certificateAPI.deleteCertificate(certificateId));
+  }
+};
+
+// ==================== Badges ====================
+
+export const badgeDB = {
+  async addBadge(badgeData) {
+    return persistThenSend('badges', keyOf('badges', badgeData),
+      () => badgeData,
+      () => badgeAPI.addBadge(badgeData));
+  },
+
+  async getUserBadges(userId) {
+    return cacheFirst(`badges:user:${userId}`, 'badges',
+      () => localStore.getAllByIndex('badges', 'userId', userId),
+      () => badgeAPI.getUserBadges(userId));
+  },
+
+  async getBadge(badgeId) {
+    return cacheFirst(`badges:${badgeId}`, 'badges',
+      async () => (await localStore.get('badges', badgeId)) || null,
+      () => badgeAPI.getBadge(badgeId));
+  },
+
+  async getUserBadgeStats(userId) {
+    return badgeAPI.getUserBadgeStats(userId);
+  },
+
+  async deleteBadge(badgeId) {
+    return persistThenSend('badges', badgeId,
+      () => null,
+      () => badgeAPI.deleteBadge(badgeId));
+  }
+};
+
+// ==================== Rooms ====================
+
+// Read-only here; coordinators manage rooms from the admin dashboard
+export const roomDB = {
+  async getRooms() {
+    const rooms = await cacheFirst('rooms:all', 'rooms',
+      () => localStore.getAll('rooms'),
+      () => roomAPI.getRooms());
+    return [...(rooms || [])].sort((a, b) => a.name.localeCompare(b.name));
+  }
+};
+
+// ==================== Notifications ====================
+
+export const notificationDB = {
+  async getUserNotifications(userId) {
+    const notifications = await cacheFirst(`notifications:user:${userId}`, 'notifications',
+      () => localStore.getAllByIndex('notifications', 'userId', userId),
+      () => notificationAPI.getUserNotifications(userId));
+    return [...(notifications || [])].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  },
+
+  // Read state is kept locally when offline and sent again on the next read
+  async markRead(notificationId) {
+    return persistThenSend('notifications', notificationId,
+      previous => previous && { ...previous, read: true },
+      () => notificationAPI.markRead(notificationId));
+  }
+};
 
 // Attendee operations
 export const attendeeDB = {
   async addAttendee(sessionId, userId) {
-    return await sessionAPI.addAttendee(sessionId, userId);
+    return await sessionDB.addAttendee(sessionId, userId);
   },
   async getAttendees(sessionId) {
-    const session = await sessionAPI.getSession(sessionId);
+    const session = await sessionDB.getSession(sessionId);
     return session?.attendees || [];
   },
   async isAttending(sessionId, userId) {
-    const session = await sessionAPI.getSession(sessionId);
+    const session = await sessionDB.getSession(sessionId);
     return session?.attendees?.includes(userId) || false;
   }
 };
@@ -30,10 +663,10 @@ export const attendeeDB = {
 // Points operations
 export const pointsDB = {
   async addPoints(userId, points) {
-    await userAPI.updateUserPoints(userId, points);
+    await userDB.updateUserPoints(userId, points);
   },
   async getUserPoints(userId) {
-    const user = await userAPI.getUser(userId);
+    const user = await userDB.getUser(userId);
     return user?.totalPoints || 0;
   }
 };
@@ -48,22 +681,284 @@ export const skillProgressDB = {
   }
 };
 
-// Sync queue (no longer needed with MongoDB)
+// ==================== Sync Queue ====================
+// Durable outbox of offline mutations, replayed in order by syncManager.
+// Item status: pending -> syncing -> synced, failed once retries are exhausted,
+// or conflict while waiting for the user to pick between local and server values.
+
+let queueSeq = 0;
+
+// How many synced item ids are remembered after the items are cleared
+const SYNCED_IDS_KEPT = 1000;
+
+const byQueueOrder = (a, b) => a.seq - b.seq;
+
+// Clear a record's pending flag once nothing else is queued for it
+const releaseTarget = async (target) => {
+  if (!target?.key) return;
+  const stillQueued = (await syncQueueDB.getUnsynced()).some(other =>
+    other.target?.store === target.store && other.target?.key === target.key
+  );
+  if (!stillQueued) {
+    await localStore.update(target.store, target.key, record =>
+      record && record._pendingSync ? toRemote(record) : undefined
+    );
+  }
+};
+
 export const syncQueueDB = {
-  async addToQueue() {},
-  async getUnsynced() { return []; },
-  async markAsSynced() {},
-  async clearSynced() {}
+  async addToQueue({ dataType, action, data, target, base = null, baseVersion = null }) {
+    const now = Date.now();
+    const item = {
+      id: `sync-${now}-${Math.random().toString(36).substr(2, 9)}`,
+      seq: now * 1000 + (queueSeq++ % 1000),
+      userId: localStorage.getItem('userId'),
+      dataType,
+      action,
+      data: toRemote(data),
+      base,
+      baseVersion,
+      target,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: new Date(now).toISOString(),
+      syncedAt: null
+    };
+    await localStore.put('syncQueue', item);
+    return item;
+  },
+
+  async getAll() {
+    return (await localStore.getAll('syncQueue')).sort(byQueueOrder);
+  },
+
+  async getItem(id) {
+    return localStore.get('syncQueue', id);
+  },
+
+  async getUnsynced() {
+    return (await this.getAll()).filter(item => item.status !== 'synced');
+  },
+
+  async hasPending() {
+    const items = await localStore.getAll('syncQueue');
+    return items.some(item => item.status === 'pending' || item.status === 'syncing');
+  },
+
+  // Items ready to send now, in order. An item still backing off blocks everything
+  // queued after it so dependent changes (create, then join) never overtake it,
+  // and an open conflict holds back every later change to the same record.
+  async getDue(userId, now = Date.now()) {
+    const due = [];
+    const conflicted = new Set();
+    for (const item of await this.getAll()) {
+      if (item.userId !== userId) continue;
+      const targetKey = item.target?.key ? `${item.target.store}:${item.target.key}` : null;
+      if (item.status === 'conflict') {
+        if (targetKey) conflicted.add(targetKey);
+        continue;
+      }
+      if (item.status !== 'pending' && item.status !== 'syncing') continue;
+      if (targetKey && conflicted.has(targetKey)) continue;
+      if (item.nextAttemptAt > now) break;
+      due.push(item);
+    }
+    return due;
+  },
+
+  async markAsSyncing(id) {
+    return localStore.update('syncQueue', id, item => item && { ...item, status: 'syncing' });
+  },
+
+  async markAsSynced(id) {
+    const item = await localStore.update('syncQueue', id, current => current && {
+      ...current,
+      status: 'synced',
+      lastError: null,
+      syncedAt: new Date().toISOString()
+    });
+
+    await releaseTarget(item?.target);
+    return item;
+  },
+
+  // Record a failed attempt; `retryAt` schedules the next one, null gives up
+  async markAsFailed(id, errorMessage, retryAt) {
+    return localStore.update('syncQueue', id, item => item && {
+      ...item,
+      status: retryAt ? 'pending' : 'failed',
+      attempts: item.attempts + 1,
+      nextAttemptAt: retryAt || item.nextAttemptAt,
+      lastError: errorMessage
+    });
+  },
+
+  // Put an item back at the front of the line (used after network failures)
+  async resetToPending(id) {
+    return localStore.update('syncQueue', id, item => item && { ...item, status: 'pending' });
+  },
+
+  // Apply the outcome of resolveConflicts to a queued edit: server-wins and merged
+  // values are written to the local record, then the edit is rebased onto the
+  // server version, parked for the user, or dropped if nothing is left to send
+  async applyResolution(id, { changes, serverValues, conflicts, base, baseVersion }) {
+    const item = await this.getItem(id);
+    if (!item) return null;
+
+    if (item.target?.key) {
+      await localStore.update(item.target.store, item.target.key, record =>
+        record && { ...record, ...serverValues, ...changes }
+      );
+    }
+
+    if (conflicts.length > 0) {
+      return localStore.update('syncQueue', id, current => current && {
+        ...current,
+        status: 'conflict',
+        data: { ...current.data, changes },
+        base,
+        baseVersion,
+        conflicts,
+        lastError: 'Edited elsewhere while offline'
+      });
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return this.markAsSynced(id);
+    }
+
+    return localStore.update('syncQueue', id, current => current && {
+      ...current,
+      status: 'pending',
+      data: { ...current.data, changes },
+      base,
+      baseVersion,
+      conflicts: []
+    });
+  },
+
+  // Give a failed or backed-off item a fresh set of attempts, due now
+  async retryItem(id) {
+    return localStore.update('syncQueue', id, item => item && item.status !== 'synced' && {
+      ...item,
+      status: item.status === 'conflict' ? 'conflict' : 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: item.status === 'conflict' ? item.lastError : null
+    });
+  },
+
+  // Drop a queued change without sending it. A record that only ever existed
+  // locally is removed; others are released so the next refresh restores the server copy
+  async discardItem(id) {
+    const item = await this.getItem(id);
+    if (!item) return false;
+
+    await localStore.remove('syncQueue', id);
+    if (item.action === 'create' && item.target?.key) {
+      // Later changes to a record the server never received can't be sent either
+      const dependents = (await this.getUnsynced()).filter(other =>
+        other.target?.store === item.target.store && other.target?.key === item.target.key
+      );
+      for (const other of dependents) {
+        await localStore.remove('syncQueue', other.id);
+      }
+      await localStore.remove(item.target.store, item.target.key);
+    } else {
+      await releaseTarget(item.target);
+    }
+    return true;
+  },
+
+  async getConflicts() {
+    return (await this.getAll()).filter(item => item.status === 'conflict');
+  },
+
+  // Apply the user's choices: `choices` maps field -> 'local' | 'remote'
+  async resolveConflict(id, choices) {
+    const item = await this.getItem(id);
+    if (!item || item.status !== 'conflict') return null;
+
+    const changes = { ...item.data.changes };
+    const adopted = {};
+    item.conflicts.forEach(({ field, local, remote }) => {
+      if (choices[field] === 'remote') {
+        adopted[field] = remote;
+      } else {
+        changes[field] = local;
+      }
+    });
+
+    if (item.target?.key && Object.keys(adopted).length > 0) {
+      await localStore.update(item.target.store, item.target.key, record =>
+        record && { ...record, ...adopted }
+      );
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return this.markAsSynced(id);
+    }
+
+    return localStore.update('syncQueue', id, current => current && {
+      ...current,
+      status: 'pending',
+      data: { ...current.data, changes },
+      conflicts: [],
+      lastError: null,
+      nextAttemptAt: Date.now()
+    });
+  },
+
+  async clearSynced() {
+    const synced = (await this.getAll()).filter(item => item.status === 'synced');
+    if (synced.length === 0) return 0;
+
+    // Remember what reached the server so a restored backup can't queue it again
+    const syncedIds = [...((await metaDB.get('syncedIds')) || []), ...synced.map(item => item.id)];
+    await metaDB.set('syncedIds', syncedIds.slice(-SYNCED_IDS_KEPT));
+    for (const item of synced) {
+      await localStore.remove('syncQueue', item.id);
+    }
+    return synced.length;
+  },
+
+  async wasSynced(id) {
+    const item = await this.getItem(id);
+    if (item) return item.status === 'synced';
+    return ((await metaDB.get('syncedIds')) || []).includes(id);
+  }
 };
 
+// Key/value settings shared with the service worker
+export const metaDB = {
+  async get(key) {
+    return (await localStore.get('meta', key))?.value;
+  },
+  async set(key, value) {
+    await localStore.put('meta', { key, value });
+  },
+  async remove(key) {
+    await localStore.remove('meta', key);
+  }
+};
+
+// Subscribe to local cache changes (e.g. a background refresh brought newer data)
+export const onDataChange = (storeNames, callback) => localStore.onChange(storeNames, callback);
+
+// Tell subscribers that another context (the service worker) changed a store
+export const notifyDataChange = (storeName) => localStore.notify(storeName);
+
 const db = {
-  user: userAPI,
-  session: sessionAPI,
-  feedback: feedbackAPI,
-  certificate: certificateAPI,
-  badge: badgeAPI
+  user: userDB,
+  session: sessionDB,
+  feedback: feedbackDB,
+  certificate: certificateDB,
+  badge: badgeDB,
+  syncQueue: syncQueueDB,
+  meta: metaDB,
+  local: localStore
 };
 
 export default db;
-
-console.log('✅ Using MongoDB backend (no IndexedDB/Dexie)');
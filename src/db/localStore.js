@@ -0,0 +1,207 @@
+/**
+ * Local Store - IndexedDB persistence for offline-first reads and writes
+ * Thin promise wrapper around the browser IndexedDB API (no Dexie)
+ */
+
+const DB_NAME = 'navpeer-offline';
+const DB_VERSION = 5;
+
+// Store schema: primary key field (falls back to Mongo `_id`) and secondary indexes
+export const STORES = {
+  users: { key: 'userId', indexes: [] },
+  sessions: { key: 'sessionId', indexes: ['creatorId'] },
+  feedback: { key: 'feedbackId', indexes: ['sessionId', 'studentId'] },
+  certificates: { key: 'certificateId', indexes: ['userId'] },
+  badges: { key: 'badgeId', indexes: ['userId'] },
+  notifications: { key: 'notificationId', indexes: ['userId'] },
+  rooms: { key: 'roomId', indexes: [] },
+  syncQueue: { key: 'id', indexes: ['status', 'userId'] },
+  // Small key/value records shared with the service worker (config, last sync time)
+  meta: { key: 'key', indexes: [] }
+};
+
+export const CHANGE_EVENT = 'navpeer:data-changed';
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDB = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    // Create any store or index missing from the current schema
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORES).forEach(([name, def]) => {
+        const store = db.objectStoreNames.contains(name)
+          ? request.transaction.objectStore(name)
+          : db.createObjectStore(name);
+        def.indexes.forEach(index => {
+          if (!store.indexNames.contains(index)) {
+            store.createIndex(index, index, { unique: false });
+          }
+        });
+      });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab upgraded the schema - drop our handle so the next call reopens
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn('LocalStore: upgrade blocked by another open tab');
+  }).catch(error => {
+    console.warn('LocalStore: IndexedDB unavailable, running network-only', error);
+    dbPromise = null;
+    throw error;
+  });
+
+  return dbPromise;
+};
+
+// Run `work` inside a transaction; resolves to `fallback` if IndexedDB is unusable
+const withStore = async (storeName, mode, work, fallback) => {
+  let db;
+  try {
+    db = await openDB();
+  } catch (error) {
+    return fallback;
+  }
+
+  try {
+    const tx = db.transaction(storeName, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const result = await work(tx.objectStore(storeName));
+    await done;
+    return result;
+  } catch (error) {
+    // Reads degrade to the fallback; failed writes must reach the caller
+    if (mode === 'readonly') {
+      console.warn(`LocalStore: read from ${storeName} failed`, error);
+      return fallback;
+    }
+    throw error;
+  }
+};
+
+const notifyChange = (storeName) => {
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { store: storeName } }));
+  }
+};
+
+export const keyOf = (storeName, record) => {
+  if (!record) return undefined;
+  return record[STORES[storeName].key] || record._id;
+};
+
+export const localStore = {
+  async get(storeName, key) {
+    if (key === undefined || key === null) return undefined;
+    return withStore(storeName, 'readonly', store => promisify(store.get(String(key))), undefined);
+  },
+
+  async getAll(storeName) {
+    return withStore(storeName, 'readonly', store => promisify(store.getAll()), []);
+  },
+
+  async getAllByIndex(storeName, index, value) {
+    return withStore(
+      storeName,
+      'readonly',
+      store => promisify(store.index(index).getAll(value)),
+      []
+    );
+  },
+
+  async put(storeName, record) {
+    const key = keyOf(storeName, record);
+    if (!key) return record;
+    await withStore(storeName, 'readwrite', store => promisify(store.put(record, String(key))));
+    notifyChange(storeName);
+    return record;
+  },
+
+  // Write only records that differ from what is stored; returns the number written
+  async bulkPut(storeName, records, { skip } = {}) {
+    if (!Array.isArray(records) || records.length === 0) return 0;
+
+    const written = await withStore(storeName, 'readwrite', async store => {
+      let count = 0;
+      for (const record of records) {
+        const key = keyOf(storeName, record);
+        if (!key) continue;
+        const existing = await promisify(store.get(String(key)));
+        if (existing && skip && skip(existing)) continue;
+        if (existing && JSON.stringify(existing) === JSON.stringify(record)) continue;
+        store.put(record, String(key));
+        count++;
+      }
+      return count;
+    }, 0);
+
+    if (written > 0) notifyChange(storeName);
+    return written;
+  },
+
+  // Read-modify-write a single record; `updater` receives the current value (or undefined)
+  async update(storeName, key, updater) {
+    if (key === undefined || key === null) return undefined;
+    const updated = await withStore(storeName, 'readwrite', async store => {
+      const current = await promisify(store.get(String(key)));
+      const next = updater(current);
+      if (next) store.put(next, String(key));
+      return next;
+    });
+    if (updated) notifyChange(storeName);
+    return updated;
+  },
+
+  async remove(storeName, key) {
+    if (key === undefined || key === null) return;
+    await withStore(storeName, 'readwrite', store => promisify(store.delete(String(key))));
+    notifyChange(storeName);
+  },
+
+  async clear(storeName) {
+    await withStore(storeName, 'readwrite', store => promisify(store.clear()));
+    notifyChange(storeName);
+  },
+
+  // Announce writes made outside this page (e.g. by the service worker)
+  notify(storeName) {
+    notifyChange(storeName);
+  },
+
+  // Subscribe to local writes; returns an unsubscribe function
+  onChange(storeNames, callback) {
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    const handler = (event) => {
+      if (names.includes(event.detail?.store)) callback(event.detail.store);
+    };
+    window.addEventListener(CHANGE_EVENT, handler);
+    return () => window.removeEventListener(CHANGE_EVENT, handler);
+  }
+};
+
+export default localStore;
@@ -0,0 +1,593 @@
+/**
+ * Admin Page
+ * Coordinator dashboard: searchable tables of users, sessions, feedback,
+ * certificates and rooms with bulk actions. Works against the API directly - these
+ * actions need the server and are never queued offline.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Shield, Search, RefreshCw, X, Plus } from 'lucide-react';
+import { userAPI, sessionAPI, feedbackAPI, certificateAPI, roomAPI } from '../services/api';
+import { ROLE_LABELS, getRole } from '../utils/roles';
+import { AMENITIES } from '../utils/rooms';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const TABS = {
+  users: {
+    label: 'Users',
+    keyOf: (user) => user.userId,
+    load: () => userAPI.getAllUsers(),
+    search: ['name', 'email', 'role'],
+    columns: [
+      { label: 'Name', render: (user) => user.name },
+      { label: 'Email', render: (user) => user.email },
+      { label: 'Role', render: (user) => ROLE_LABELS[getRole(user)] },
+      { label: 'Points', render: (user) => user.totalPoints || 0 },
+      {
+        label: 'Status',
+        render: (user) => (user.active === false
+          ? <span className="text-red-400">Deactivated</span>
+          : <span className="text-green-400">Active</span>)
+      }
+    ]
+  },
+  sessions: {
+    label: 'Sessions',
+    keyOf: (session) => session.sessionId,
+    load: () => sessionAPI.getAllSessions(),
+    search: ['title', 'topic', 'creatorName', 'status', 'location'],
+    columns: [
+      { label: 'Title', render: (session) => session.title },
+      { label: 'Mentor', render: (session) => session.creatorName || session.creatorId },
+      { label: 'Date', render: (session) => formatDate(session.dateTime) },
+      { label: 'Status', render: (session) => session.status },
+      { label: 'Attendees', render: (session) => (session.attendees || []).length }
+    ]
+  },
+  feedback: {
+    label: 'Feedback',
+    keyOf: (feedback) => feedback.feedbackId,
+    load: () => feedbackAPI.getAllFeedback(),
+    search: ['studentName', 'comment', 'learned', 'sessionId', 'behavior'],
+    columns: [
+      { label: 'Student', render: (feedback) => feedback.studentName },
+      { label: 'Rating', render: (feedback) => `${feedback.rating}/5` },
+      { label: 'Comment', render: (feedback) => feedback.comment || feedback.learned || '—' },
+      {
+        label: 'Visibility',
+        render: (feedback) => (feedback.hidden
+          ? <span className="text-red-400">Hidden</span>
+          : <span className="text-green-400">Visible</span>)
+      }
+    ]
+  },
+  certificates: {
+    label: 'Certificates',
+    keyOf: (cert) => cert.certificateId || cert._id,
+    load: () => certificateAPI.getAllCertificates(),
+    search: ['studentName', 'sessionTitle', 'certificateType'],
+    columns: [
+      { label: 'Recipient', render: (cert) => cert.studentName },
+      { label: 'Session', render: (cert) => cert.sessionTitle },
+      { label: 'Type', render: (cert) => cert.certificateType },
+      { label: 'Issued', render: (cert) => formatDate(cert.issueDate || cert.issuedDate) },
+      {
+        label: 'Status',
+        render: (cert) => (cert.revoked
+          ? <span className="text-red-400">Revoked</span>
+          : <span className="text-green-400">Valid</span>)
+      }
+    ]
+  },
+  rooms: {
+    label: 'Rooms',
+    keyOf: (room) => room.roomId,
+    load: () => roomAPI.getRooms(),
+    search: ['name', 'building'],
+    columns: [
+      { label: 'Room', render: (room) => room.name },
+      { label: 'Building', render: (room) => room.building || '—' },
+      { label: 'Capacity', render: (room) => room.capacity },
+      {
+        label: 'Amenities',
+        render: (room) => (room.amenities || []).map(amenity => AMENITIES[amenity] || amenity).join(', ') || '—'
+      },
+      {
+        label: 'Status',
+        render: (room) => (room.active === false
+          ? <span className="text-red-400">Unavailable</span>
+          : <span className="text-green-400">Bookable</span>)
+      }
+    ]
+  }
+};
+
+const EMPTY_ROOM = { name: '', building: '', capacity: '', amenities: [] };
+
+// Bulk actions per tab. `prompt` asks for the audit reason before running.
+const BULK_ACTIONS = {
+  users: [
+    { id: 'points', label: 'Adjust Points' },
+    {
+      id: 'deactivate',
+      label: 'Deactivate',
+      danger: true,
+      prompt: 'Why are these accounts being deactivated?',
+      run: (user, reason) => userAPI.setUserActive(user.userId, false, reason)
+    },
+    {
+      id: 'reactivate',
+      label: 'Reactivate',
+      prompt: 'Why are these accounts being reactivated?',
+      run: (user, reason) => userAPI.setUserActive(user.userId, true, reason)
+    }
+  ],
+  sessions: [
+    {
+      id: 'cancel',
+      label: 'Cancel Sessions',
+      danger: true,
+      prompt: 'Why are these sessions being cancelled? Attendees will see this reason.',
+      run: (session, reason) => sessionAPI.updateSessionStatus(session.sessionId, 'cancelled', reason)
+    }
+  ],
+  feedback: [
+    {
+      id: 'hide',
+      label: 'Hide',
+      danger: true,
+      prompt: 'Why is this feedback being hidden?',
+      run: (feedback, reason) => feedbackAPI.moderateFeedback(feedback.feedbackId, { hidden: true, reason })
+    },
+    {
+      id: 'restore',
+      label: 'Restore',
+      run: (feedback) => feedbackAPI.moderateFeedback(feedback.feedbackId, { hidden: false, reason: '' })
+    }
+  ],
+  certificates: [
+    {
+      id: 'revoke',
+      label: 'Revoke',
+      danger: true,
+      prompt: 'Why are these certificates being revoked?',
+      run: (cert, reason) => certificateAPI.revokeCertificate(cert.certificateId || cert._id, reason)
+    }
+  ],
+  rooms: [
+    { id: 'editRoom', label: 'Edit', single: true },
+    {
+      id: 'closeRoom',
+      label: 'Mark Unavailable',
+      danger: true,
+      run: (room) => roomAPI.updateRoom(room.roomId, { active: false })
+    },
+    {
+      id: 'openRoom',
+      label: 'Mark Bookable',
+      run: (room) => roomAPI.updateRoom(room.roomId, { active: true })
+    }
+  ]
+};
+
+function AdminPage() {
+  const [activeTab, setActiveTab] = useState('users');
+  const [data, setData] = useState({});
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [working, setWorking] = useState(false);
+  const [pointsForm, setPointsForm] = useState(null);
+  const [roomForm, setRoomForm] = useState(null);
+
+  const loadAll = async () => {
+    setLoading(true);
+    const names = Object.keys(TABS);
+    const results = await Promise.allSettled(names.map(name => TABS[name].load()));
+    const nextData = {};
+    const nextErrors = {};
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        nextData[names[index]] = Array.isArray(result.value) ? result.value : [];
+      } else {
+        nextErrors[names[index]] = result.reason?.message || 'Failed to load';
+      }
+    });
+    setData(nextData);
+    setErrors(nextErrors);
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    loadAll();
+  }, []);
+
+  useEffect(() => {
+    setSelected([]);
+    setSearch('');
+  }, [activeTab]);
+
+  const tab = TABS[activeTab];
+  const rows = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    const all = data[activeTab] || [];
+    if (!term) return all;
+    return all.filter(row =>
+      tab.search.some(field => String(row[field] ?? '').toLowerCase().includes(term))
+    );
+  }, [data, activeTab, search, tab]);
+
+  const selectedRows = rows.filter(row => selected.includes(tab.keyOf(row)));
+  const allSelected = rows.length > 0 && selectedRows.length === rows.length;
+
+  const toggleRow = (key) => {
+    setSelected(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const toggleAll = () => {
+    setSelected(allSelected ? [] : rows.map(tab.keyOf));
+  };
+
+  // Run one request per selected row and report how many failed
+  const runBulk = async (label, targets, run) => {
+    setWorking(true);
+    const results = await Promise.allSettled(targets.map(run));
+    const failed = results.filter(result => result.status === 'rejected');
+    setWorking(false);
+    setSelected([]);
+
+    if (failed.length > 0) {
+      console.error(`${label} failed for ${failed.length} item(s):`, failed.map(f => f.reason));
+      alert(`${label}: ${targets.length - failed.length} succeeded, ${failed.length} failed (${failed[0].reason?.message}).`);
+    }
+    await loadAll();
+  };
+
+  const handleAction = async (action) => {
+    if (action.id === 'points') {
+      setPointsForm({ amount: '', reason: '' });
+      return;
+    }
+    if (action.id === 'editRoom') {
+      const [room] = selectedRows;
+      setRoomForm({ ...EMPTY_ROOM, ...room, capacity: String(room.capacity || '') });
+      return;
+    }
+
+    let reason = '';
+    if (action.prompt) {
+      reason = window.prompt(action.prompt);
+      if (reason === null) return;
+      reason = reason.trim();
+      if (!reason) {
+        alert('A reason is required for the audit log.');
+        return;
+      }
+    }
+    await runBulk(action.label, selectedRows, row => action.run(row, reason));
+  };
+
+  const handleAdjustPoints = async (e) => {
+    e.preventDefault();
+    const amount = parseInt(pointsForm.amount, 10);
+    if (!amount) {
+      alert('Enter a non-zero number of points (negative to deduct).');
+      return;
+    }
+    if (!pointsForm.reason.trim()) {
+      alert('A reason is required for the audit log.');
+      return;
+    }
+    const targets = selectedRows;
+    setPointsForm(null);
+    await runBulk('Adjust points', targets, user =>
+      userAPI.updateUserPoints(user.userId, amount, pointsForm.reason.trim()));
+  };
+
+  const toggleRoomAmenity = (amenity) => {
+    setRoomForm(prev => ({
+      ...prev,
+      amenities: prev.amenities.includes(amenity)
+        ? prev.amenities.filter(a => a !== amenity)
+        : [...prev.amenities, amenity]
+    }));
+  };
+
+  const handleSaveRoom = async (e) => {
+    e.preventDefault();
+    const capacity = parseInt(roomForm.capacity, 10);
+    if (!roomForm.name.trim()) {
+      alert('Room name is required.');
+      return;
+    }
+    if (!capacity || capacity < 1) {
+      alert('Capacity must be at least 1.');
+      return;
+    }
+
+    const fields = {
+      name: roomForm.name.trim(),
+      building: roomForm.building.trim(),
+      capacity,
+      amenities: roomForm.amenities
+    };
+    setWorking(true);
+    try {
+      if (roomForm.roomId) {
+        await roomAPI.updateRoom(roomForm.roomId, fields);
+      } else {
+        await roomAPI.createRoom({
+          roomId: `room-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+          ...fields,
+          active: true
+        });
+      }
+      setRoomForm(null);
+      setSelected([]);
+      await loadAll();
+    } catch (error) {
+      console.error('Error saving room:', error);
+      alert(`Failed to save room: ${error.message}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="min-h-screen pb-12"
+    >
+      <div className="max-w-7xl mx-auto px-4 pt-8">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div className="flex items-center gap-3">
+            <Shield className="text-purple-400" size={40} />
+            <h1 className="text-4xl font-bold text-white">Coordinator Dashboard</h1>
+          </div>
+          <button
+            onClick={loadAll}
+            disabled={loading}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg border border-purple-500/40 text-purple-300 hover:bg-purple-500/10 transition-colors disabled:opacity-50"
+          >
+            <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+            Refresh
+          </button>
+        </div>
+
+        {/* Tabs */}
+        <div className="flex flex-wrap gap-2 mb-6">
+          {Object.entries(TABS).map(([name, { label }]) => (
+            <button
+              key={name}
+              onClick={() => setActiveTab(name)}
+              className={`px-4 py-2 rounded-lg font-medium transition-all ${
+                activeTab === name
+                  ? 'bg-purple-500/30 text-white border border-purple-500/50'
+                  : 'text-gray-400 hover:text-white border border-transparent'
+              }`}
+            >
+              {label}
+              <span className="ml-2 text-xs text-gray-500">{(data[name] || []).length}</span>
+            </button>
+          ))}
+        </div>
+
+        <div className="glass rounded-2xl p-6 border border-purple-500/20">
+          {/* Search and bulk actions */}
+          <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+            <div className="relative flex-1 max-w-md">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder={`Search ${tab.label.toLowerCase()}...`}
+                className="w-full pl-10 pr-4 py-2 bg-slate-800/50 border border-purple-500/30 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-purple-500"
+              />
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              {activeTab === 'rooms' && (
+                <button
+                  onClick={() => setRoomForm(EMPTY_ROOM)}
+                  className="flex items-center gap-1 px-3 py-2 text-sm rounded-lg bg-purple-500/30 text-white border border-purple-500/50 hover:bg-purple-500/40 transition-colors"
+                >
+                  <Plus size={16} />
+                  Add Room
+                </button>
+              )}
+              <span className="text-gray-400 text-sm">{selectedRows.length} selected</span>
+              {BULK_ACTIONS[activeTab].map(action => (
+                <button
+                  key={action.id}
+                  onClick={() => handleAction(action)}
+                  disabled={selectedRows.length === 0 || working || (action.single && selectedRows.length !== 1)}
+                  className={`px-3 py-2 text-sm rounded-lg border transition-colors disabled:opacity-40 ${
+                    action.danger
+                      ? 'border-red-500/40 text-red-300 hover:bg-red-500/10'
+                      : 'border-purple-500/40 text-purple-300 hover:bg-purple-500/10'
+                  }`}
+                >
+                  {action.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Table */}
+          {loading ? (
+            <div className="flex justify-center items-center h-48">
+              <motion.div
+                animate={{ rotate: 360 }}
+                transition={{ duration: 2, repeat: Infinity, ease: 'linear' }}
+                className="w-12 h-12 border-4 border-purple-300 border-t-white rounded-full"
+              />
+            </div>
+          ) : errors[activeTab] ? (
+            <p className="text-red-400 text-center py-12">Could not load {tab.label.toLowerCase()}: {errors[activeTab]}</p>
+          ) : rows.length === 0 ? (
+            <p className="text-gray-400 text-center py-12">No {tab.label.toLowerCase()} found</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm">
+                <thead>
+                  <tr className="text-gray-400 border-b border-purple-500/20">
+                    <th className="py-3 pr-4 w-8">
+                      <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+                    </th>
+                    {tab.columns.map(column => (
+                      <th key={column.label} className="py-3 pr-4 font-medium">{column.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => {
+                    const key = tab.keyOf(row);
+                    return (
+                      <tr
+                        key={key}
+                        className={`border-b border-purple-500/10 ${selected.includes(key) ? 'bg-purple-500/10' : ''}`}
+                      >
+                        <td className="py-3 pr-4">
+                          <input type="checkbox" checked={selected.includes(key)} onChange={() => toggleRow(key)} />
+                        </td>
+                        {tab.columns.map(column => (
+                          <td key={column.label} className="py-3 pr-4 text-gray-200 max-w-xs truncate">
+                            {column.render(row)}
+                          </td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Adjust points dialog */}
+      <AnimatePresence>
+        {pointsForm && (
+          <motion.div
+            className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+          >
+            <motion.form
+              onSubmit={handleAdjustPoints}
+              className="glass rounded-2xl border border-purple-500/30 w-full max-w-md p-8"
+              initial={{ scale: 0.9, y: 30 }}
+              animate={{ scale: 1, y: 0 }}
+            >
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-2xl font-bold text-white">Adjust Points</h2>
+                <button type="button" onClick={() => setPointsForm(null)} className="text-gray-400 hover:text-white">
+                  <X size={20} />
+                </button>
+              </div>
+              <p className="text-gray-400 text-sm mb-4">
+                Applies to {selectedRows.length} user{selectedRows.length === 1 ? '' : 's'}. Use a negative number to deduct.
+              </p>
+              <input
+                type="number"
+                value={pointsForm.amount}
+                onChange={(e) => setPointsForm({ ...pointsForm, amount: e.target.value })}
+                placeholder="Points, e.g. 50 or -20"
+                className="w-full mb-4 px-4 py-3 bg-slate-800/50 border border-purple-500/30 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-purple-500"
+              />
+              <textarea
+                value={pointsForm.reason}
+                onChange={(e) => setPointsForm({ ...pointsForm, reason: e.target.value })}
+                placeholder="Reason (recorded in the audit log)"
+                rows={3}
+                className="w-full mb-6 px-4 py-3 bg-slate-800/50 border border-purple-500/30 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-purple-500"
+              />
+              <button
+                type="submit"
+                className="w-full bg-gradient-to-r from-purple-500 to-pink-600 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all"
+              >
+                Apply
+              </button>
+            </motion.form>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Add / edit room dialog */}
+      <AnimatePresence>
+        {roomForm && (
+          <motion.div
+            className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+          >
+            <motion.form
+              onSubmit={handleSaveRoom}
+              className="glass rounded-2xl border border-purple-500/30 w-full max-w-md p-8"
+              initial={{ scale: 0.9, y: 30 }}
+              animate={{ scale: 1, y: 0 }}
+            >
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-2xl font-bold text-white">{roomForm.roomId ? 'Edit Room' : 'Add Room'}</h2>
+                <button type="button" onClick={() => setRoomForm(null)} className="text-gray-400 hover:text-white">
+                  <X size={20} />
+                </button>
+              </div>
+              <input
+                type="text"
+                value={roomForm.name}
+                onChange={(e) => setRoomForm({ ...roomForm, name: e.target.value })}
+                placeholder="Room name, e.g. Computer Lab 1"
+                className="w-full mb-4 px-4 py-3 bg-slate-800/50 border border-purple-500/30 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-purple-500"
+              />
+              <input
+                type="text"
+                value={roomForm.building}
+                onChange={(e) => setRoomForm({ ...roomForm, building: e.target.value })}
+                placeholder="Building (optional)"
+                className="w-full mb-4 px-4 py-3 bg-slate-800/50 border border-purple-500/30 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-purple-500"
+              />
+              <input
+                type="number"
+                min="1"
+                value={roomForm.capacity}
+                onChange={(e) => setRoomForm({ ...roomForm, capacity: e.target.value })}
+                placeholder="Capacity (seats)"
+                className="w-full mb-4 px-4 py-3 bg-slate-800/50 border border-purple-500/30 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-purple-500"
+              />
+              <div className="grid grid-cols-2 gap-2 mb-6">
+                {Object.entries(AMENITIES).map(([amenity, label]) => (
+                  <label key={amenity} className="flex items-center gap-2 text-gray-300 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={roomForm.amenities.includes(amenity)}
+                      onChange={() => toggleRoomAmenity(amenity)}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              <button
+                type="submit"
+                disabled={working}
+                className="w-full bg-gradient-to-r from-purple-500 to-pink-600 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+              >
+                Save Room
+              </button>
+            </motion.form>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+}
+
+export default AdminPage;
@@ -0,0 +1,158 @@
+/**
+ * Backup Page
+ * Export the user's offline data to a JSON file and restore it on this
+ * or another device
+ */
+
+import React, { useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { HardDrive, Download, Upload, CheckCircle, AlertCircle } from 'lucide-react';
+import offlineUtils from '../utils/offlineUtils';
+
+const COLLECTION_LABELS = {
+  sessions: 'Sessions',
+  feedback: 'Feedback',
+  certificates: 'Certificates',
+  badges: 'Badges',
+  syncQueue: 'Pending changes'
+};
+
+function BackupPage({ currentUser }) {
+  const fileInputRef = useRef(null);
+  const [exporting, setExporting] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [lastExport, setLastExport] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+
+  const handleExport = async () => {
+    setExporting(true);
+    const backup = await offlineUtils.exportData(currentUser.userId);
+    if (backup) {
+      setLastExport(backup);
+    } else {
+      alert('Failed to create backup. Please try again.');
+    }
+    setExporting(false);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setImporting(true);
+    setImportResult(null);
+    setImportResult(await offlineUtils.importData(file, currentUser.userId));
+    setImporting(false);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="min-h-screen pb-12"
+    >
+      <div className="max-w-3xl mx-auto px-4 pt-8">
+        {/* Header */}
+        <motion.div
+          initial={{ y: -30, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          className="flex items-center gap-3 mb-4"
+        >
+          <HardDrive className="text-purple-400" size={40} />
+          <h1 className="text-4xl font-bold text-white">Backup & Restore</h1>
+        </motion.div>
+        <p className="text-gray-400 mb-8">
+          Save your sessions, feedback, certificates, badges and unsynced changes to a file.
+          Restoring merges the file into this device without deleting anything.
+        </p>
+
+        {/* Export */}
+        <div className="glass rounded-2xl p-8 border border-purple-500/20 mb-6">
+          <h2 className="text-2xl font-bold text-white mb-2">Export</h2>
+          <p className="text-gray-400 mb-6">Download everything stored on this device for your account.</p>
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={handleExport}
+            disabled={exporting}
+            className="flex items-center gap-2 bg-gradient-to-r from-purple-500 to-pink-600 text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+          >
+            <Download size={18} />
+            {exporting ? 'Preparing...' : 'Download Backup'}
+          </motion.button>
+
+          {lastExport && (
+            <p className="text-green-400 text-sm mt-4">
+              ✓ Backup saved with{' '}
+              {Object.entries(lastExport.data)
+                .map(([name, records]) => `${records.length} ${COLLECTION_LABELS[name].toLowerCase()}`)
+                .join(', ')}
+            </p>
+          )}
+        </div>
+
+        {/* Import */}
+        <div className="glass rounded-2xl p-8 border border-purple-500/20">
+          <h2 className="text-2xl font-bold text-white mb-2">Restore</h2>
+          <p className="text-gray-400 mb-6">
+            Newer records already on this device and changes that haven't synced yet are kept.
+          </p>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            className="hidden"
+          />
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={() => fileInputRef.current?.click()}
+            disabled={importing}
+            className="flex items-center gap-2 px-6 py-3 rounded-lg font-semibold border border-purple-500/40 text-purple-300 hover:bg-purple-500/10 transition-all disabled:opacity-50"
+          >
+            <Upload size={18} />
+            {importing ? 'Restoring...' : 'Choose Backup File'}
+          </motion.button>
+
+          {importResult && (
+            importResult.success ? (
+              <div className="mt-6 p-4 rounded-lg border border-green-500/30 bg-green-500/10">
+                <p className="flex items-center gap-2 text-green-400 font-semibold mb-3">
+                  <CheckCircle size={18} />
+                  Backup restored
+                </p>
+                <div className="grid grid-cols-2 gap-2 text-sm">
+                  {Object.keys(COLLECTION_LABELS).map(name => (
+                    <p key={name} className="text-gray-300">
+                      {COLLECTION_LABELS[name]}: {importResult.imported[name] || 0} added
+                      {importResult.skipped[name] > 0 && (
+                        <span className="text-gray-500"> ({importResult.skipped[name]} kept)</span>
+                      )}
+                    </p>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <div className="mt-6 p-4 rounded-lg border border-red-500/30 bg-red-500/10">
+                <p className="flex items-center gap-2 text-red-400 font-semibold mb-2">
+                  <AlertCircle size={18} />
+                  This file can't be restored
+                </p>
+                <ul className="list-disc list-inside text-sm text-red-300 space-y-1">
+                  {importResult.errors.map(error => (
+                    <li key={error}>{error}</li>
+                  ))}
+                </ul>
+              </div>
+            )
+          )}
+        </div>
+      </div>
+    </motion.div>
+  );
+}
+
+export default BackupPage;
@@ -6,19 +6,23 @@
 import React, { useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { Download, Award } from 'lucide-react';
-import { certificateDB } from '../db/database';
+import { certificateDB, onDataChange } from '../db/database';
+import { isOffline } from '../services/api';
 import { generateCertificatePDF } from '../utils/pdfGenerator';
+import OfflineState from '../components/OfflineState';
 
 function CertificatesPage({ currentUser }) {
   const [certificates, setCertificates] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [offline, setOffline] = useState(false);
 
   useEffect(() => {
     loadCertificates();
+    return onDataChange('certificates', () => loadCertificates(false));
   }, [currentUser]);
 
-  const loadCertificates = async () => {
-    setLoading(true);
+  const loadCertificates = async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
     try {
       if (currentUser) {
         const certs = await certificateDB.getUserCertificates(currentUser.userId);
@@ -27,6 +31,7 @@ function CertificatesPage({ currentUser }) {
     } catch (error) {
       console.error('Error loading certificates:', error);
     }
+    setOffline(isOffline());
     setLoading(false);
   };
 
@@ -157,6 +162,13 @@ function CertificatesPage({ currentUser }) {
                     <p className="text-gray-500 text-xs font-mono mb-6 truncate">
                       ID: {cert._id}
                     </p>
+
+                    {/* Revoked by a coordinator */}
+                    {cert.revoked && (
+                      <p className="text-red-400 text-sm">
+                        Revoked{cert.revokedReason ? `: ${cert.revokedReason}` : ''}
+                      </p>
+                    )}
                   </div>
 
                   {/* Download Button */}
@@ -164,7 +176,8 @@ function CertificatesPage({ currentUser }) {
                     whileHover={{ scale: 1.05 }}
                     whileTap={{ scale: 0.95 }}
                     onClick={() => handleDownloadCertificate(cert)}
-                    className="w-full bg-gradient-to-r from-yellow-500 to-orange-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all flex items-center justify-center gap-2 mt-6"
+                    disabled={cert.revoked}
+                    className="w-full bg-gradient-to-r from-yellow-500 to-orange-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all flex items-center justify-center gap-2 mt-6 disabled:opacity-40 disabled:cursor-not-allowed"
                   >
                     <Download size={20} />
                     Download PDF
@@ -176,6 +189,8 @@ function CertificatesPage({ currentUser }) {
               </motion.div>
             ))}
           </motion.div>
+        ) : offline ? (
+          <OfflineState what="your certificates" onRetry={() => loadCertificates()} />
         ) : (
           <motion.div
             initial={{ opacity: 0 }}
@@ -1,31 +1,68 @@
 /**
  * Create Session Page
- * Form to create new peer learning sessions
+ * Form to create new peer learning sessions, also used to edit one
+ * (/sessions/:sessionId/edit, with ?scope=series for the rest of a series)
  */
 
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { ArrowLeft } from 'lucide-react';
-import { sessionAPI } from '../services/api';
+import { ArrowLeft, Repeat, AlertTriangle } from 'lucide-react';
+import { sessionDB, roomDB } from '../db/database';
+import { WEEKDAYS, MAX_OCCURRENCES, validateRule, generateOccurrences, describeRule, toLocalDateTime } from '../utils/recurrence';
+import { can, canManageSession } from '../utils/roles';
+import { DEFAULT_DURATION, DURATION_OPTIONS, getDuration, formatDuration } from '../utils/sessionLifecycle';
+import { findConflicts, getLocationDay, suggestFreeSlots, describeConflict } from '../utils/scheduling';
+import { AMENITIES, findRoom, roomLabel, hasAmenities, seatLimit } from '../utils/rooms';
+import { validateMaxSeats } from '../utils/waitlist';
+
+// Form fields an edit can change
+const EDITABLE_FIELDS = ['title', 'topic', 'description', 'skillLevel', 'roomId', 'location', 'dateTime', 'duration', 'maxSeats', 'prerequisites'];
+// Changes that can make a session clash with another
+const SCHEDULE_FIELDS = ['roomId', 'location', 'dateTime', 'duration'];
 
 function CreateSessionPage({ currentUser }) {
   const navigate = useNavigate();
+  const { sessionId: editingId } = useParams();
+  const [searchParams] = useSearchParams();
+  const isEdit = Boolean(editingId);
+  // Session being edited, as loaded
+  const [original, setOriginal] = useState(null);
+  const [scope, setScope] = useState(searchParams.get('scope') === 'series' ? 'series' : 'this');
 
   const [formData, setFormData] = useState({
     title: '',
     topic: '',
     description: '',
     skillLevel: 'Beginner',
+    roomId: '',
     location: '',
     dateTime: '',
+    duration: String(DEFAULT_DURATION),
     maxSeats: '',
     prerequisites: ''
   });
 
+  // Optional weekly recurrence - creates one linked session per occurrence
+  const [repeat, setRepeat] = useState(false);
+  const [rule, setRule] = useState({
+    interval: 1,
+    daysOfWeek: [],
+    endMode: 'count',
+    count: 8,
+    until: ''
+  });
+
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState('');
 
+  // Everything already booked, for clash warnings
+  const [existingSessions, setExistingSessions] = useState([]);
+
+  // Campus rooms; falls back to a free-text location when none are available
+  const [rooms, setRooms] = useState([]);
+  const [amenityFilter, setAmenityFilter] = useState([]);
+
   useEffect(() => {
     console.log('CreateSessionPage: useEffect - currentUser:', currentUser);
     // Redirect to login if no user
@@ -35,6 +72,53 @@ function CreateSessionPage({ currentUser }) {
     }
   }, [currentUser, navigate]);
 
+  // Edit mode: load the session into the form
+  useEffect(() => {
+    if (!isEdit || !currentUser) return;
+    sessionDB.getSession(editingId).then(session => {
+      if (!session || !canManageSession(currentUser, session)) {
+        navigate(`/sessions/${editingId}`);
+        return;
+      }
+      setOriginal(session);
+      setFormData({
+        title: session.title || '',
+        topic: session.topic || '',
+        description: session.description || '',
+        skillLevel: session.skillLevel || 'Beginner',
+        roomId: session.roomId || '',
+        location: session.location || '',
+        dateTime: session.dateTime ? toLocalDateTime(new Date(session.dateTime)) : '',
+        duration: String(getDuration(session)),
+        maxSeats: session.maxSeats ? String(session.maxSeats) : '',
+        prerequisites: session.prerequisites || ''
+      });
+    });
+  }, [isEdit, editingId, currentUser, navigate]);
+
+  useEffect(() => {
+    sessionDB.getAllSessions()
+      .then(sessions => setExistingSessions(sessions || []))
+      .catch(error => console.warn('Could not load sessions for clash checks:', error));
+    roomDB.getRooms()
+      .then(setRooms)
+      .catch(error => console.warn('Could not load rooms:', error));
+  }, []);
+
+  const selectedRoom = findRoom(rooms, formData.roomId);
+  const roomOptions = rooms.filter(room =>
+    room.roomId === formData.roomId || (room.active !== false && hasAmenities(room, amenityFilter))
+  );
+
+  const handleRoomChange = (e) => {
+    const room = findRoom(rooms, e.target.value);
+    setFormData(prev => ({ ...prev, roomId: room?.roomId || '', location: room?.name || '' }));
+  };
+
+  const toggleAmenity = (amenity) => {
+    setAmenityFilter(prev => (prev.includes(amenity) ? prev.filter(a => a !== amenity) : [...prev, amenity]));
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -43,6 +127,49 @@ function CreateSessionPage({ currentUser }) {
     }));
   };
 
+  // Default the repeat days to the weekday of the chosen first session
+  const firstDay = formData.dateTime ? new Date(formData.dateTime).getDay() : null;
+  useEffect(() => {
+    if (firstDay !== null) {
+      setRule(prev => (prev.daysOfWeek.length > 0 ? prev : { ...prev, daysOfWeek: [firstDay] }));
+    }
+  }, [firstDay]);
+
+  const toggleDay = (day) => {
+    setRule(prev => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter(d => d !== day)
+        : [...prev.daysOfWeek, day]
+    }));
+  };
+
+  // The rule as stored on each occurrence
+  const recurrenceRule = {
+    interval: parseInt(rule.interval, 10) || 1,
+    daysOfWeek: [...rule.daysOfWeek].sort((a, b) => a - b),
+    ...(rule.endMode === 'until' ? { until: rule.until } : { count: parseInt(rule.count, 10) || 0 })
+  };
+  const occurrences = repeat && !validateRule(formData.dateTime, recurrenceRule)
+    ? generateOccurrences(formData.dateTime, recurrenceRule)
+    : [];
+
+  // Clashes for the requested time (every occurrence of a new series)
+  const draft = {
+    sessionId: editingId,
+    creatorId: original?.creatorId || currentUser?.userId,
+    roomId: formData.roomId || null,
+    location: formData.location,
+    dateTime: formData.dateTime,
+    duration: parseInt(formData.duration, 10) || DEFAULT_DURATION
+  };
+  const conflicts = (occurrences.length > 0 ? occurrences : [formData.dateTime])
+    .flatMap(dateTime => findConflicts({ ...draft, dateTime }, existingSessions));
+  const locationDay = getLocationDay(draft, existingSessions);
+  const freeSlots = conflicts.length > 0 && occurrences.length === 0
+    ? suggestFreeSlots(draft, existingSessions)
+    : [];
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -64,17 +191,50 @@ function CreateSessionPage({ currentUser }) {
       setError('Description is required');
       return;
     }
+    // Older sessions without a room can be edited without picking one
+    if (rooms.length > 0 && !formData.roomId && !(isEdit && !original?.roomId)) {
+      setError('Please choose a room');
+      return;
+    }
     if (!formData.location.trim()) {
       setError('Location is required');
       return;
     }
+    if (selectedRoom && parseInt(formData.maxSeats, 10) > selectedRoom.capacity) {
+      setError(`${selectedRoom.name} only seats ${selectedRoom.capacity}`);
+      return;
+    }
     if (!formData.dateTime) {
       setError('Date and time are required');
       return;
     }
+    if (repeat) {
+      const ruleError = validateRule(formData.dateTime, recurrenceRule);
+      if (ruleError) {
+        setError(ruleError);
+        return;
+      }
+    }
+
+    // A booked room can't be double-booked; other clashes are only warnings
+    const roomClash = conflicts.find(conflict => conflict.reasons.includes('location') && conflict.session.roomId);
+    if (roomClash) {
+      setError(`${selectedRoom?.name || 'This room'} is already booked: ${describeConflict(roomClash)}. Pick another room or time.`);
+      return;
+    }
+    if (conflicts.length > 0 && !window.confirm(
+      `This clashes with ${conflicts.length} other session(s):\n\n${conflicts.map(describeConflict).join('\n')}\n\nSave anyway?`
+    )) {
+      return;
+    }
 
     setSubmitting(true);
 
+    if (isEdit) {
+      await saveEdit();
+      return;
+    }
+
     try {
       // Check if currentUser exists
       if (!currentUser) {
@@ -98,9 +258,11 @@ function CreateSessionPage({ currentUser }) {
         topic: formData.topic.trim(),
         description: formData.description.trim(),
         skillLevel: formData.skillLevel,
+        roomId: formData.roomId || null,
         location: formData.location.trim(),
         dateTime: formData.dateTime,
-        maxSeats: formData.maxSeats ? parseInt(formData.maxSeats) : null,
+        duration: parseInt(formData.duration, 10) || DEFAULT_DURATION,
+        maxSeats: seatLimit(formData.maxSeats ? parseInt(formData.maxSeats) : null, selectedRoom),
         prerequisites: formData.prerequisites.trim(),
         creatorId: currentUser.userId,
         creatorName: currentUser.name || 'Unknown',
@@ -109,9 +271,18 @@ function CreateSessionPage({ currentUser }) {
       };
 
       console.log('Session data prepared:', sessionData);
-      console.log('Calling sessionAPI.createSession...');
+
+      if (repeat) {
+        const { sessions } = await sessionDB.createSeries(sessionData, recurrenceRule);
+        console.log('=== SERIES CREATION COMPLETED ===', sessions.length);
+        alert(`Series created with ${sessions.length} sessions!`);
+        navigate('/sessions');
+        return;
+      }
+
+      console.log('Calling sessionDB.createSession...');
       
-      const result = await sessionAPI.createSession(sessionData);
+      const result = await sessionDB.createSession(sessionData);
       
       console.log('Session created successfully! Result:', result);
       console.log('=== SESSION CREATION COMPLETED ===');
@@ -130,6 +301,115 @@ function CreateSessionPage({ currentUser }) {
     }
   };
 
+  // Values as stored on the session, for comparing against the original
+  const toSessionValues = () => ({
+    title: formData.title.trim(),
+    topic: formData.topic.trim(),
+    description: formData.description.trim(),
+    skillLevel: formData.skillLevel,
+    roomId: formData.roomId || null,
+    location: formData.location.trim(),
+    dateTime: formData.dateTime,
+    duration: parseInt(formData.duration, 10) || DEFAULT_DURATION,
+    maxSeats: seatLimit(formData.maxSeats ? parseInt(formData.maxSeats) : null, selectedRoom),
+    prerequisites: formData.prerequisites.trim()
+  });
+
+  const saveEdit = async () => {
+    const values = toSessionValues();
+    // Sessions from before durations existed count as the default length
+    const originalValues = {
+      ...original,
+      dateTime: toLocalDateTime(new Date(original.dateTime)),
+      duration: getDuration(original)
+    };
+    const changes = Object.fromEntries(EDITABLE_FIELDS
+      .filter(field => (values[field] ?? '') !== (originalValues[field] ?? ''))
+      .map(field => [field, values[field]]));
+
+    if (Object.keys(changes).length === 0) {
+      setSubmitting(false);
+      navigate(`/sessions/${editingId}`);
+      return;
+    }
+
+    const editor = { userId: currentUser.userId, name: currentUser.name };
+    const editSeries = scope === 'series' && original.seriesId;
+    // Each occurrence keeps its own date; only the time of day carries over
+    const { dateTime, ...seriesChanges } = changes;
+    const seriesOptions = { fromDateTime: original.dateTime, time: dateTime ? dateTime.slice(11, 16) : null };
+    try {
+      const planned = editSeries
+        ? await sessionDB.planSeriesUpdate(original.seriesId, seriesChanges, seriesOptions)
+        : [{ session: original, changes }];
+
+      // Check every affected session as it will be after the edit. The form
+      // already checked this one's slot; the rest of a series moves with it.
+      const updatedById = new Map(planned.map(({ session, changes: sessionChanges }) =>
+        [session.sessionId, { ...session, ...sessionChanges }]));
+      const others = existingSessions.map(session => updatedById.get(session.sessionId) || session);
+      const seriesConflicts = [];
+      const fail = (session, message) => {
+        setError(editSeries ? `${new Date(session.dateTime).toLocaleDateString()}: ${message}` : message);
+        setSubmitting(false);
+      };
+
+      for (const { session, changes: sessionChanges } of planned) {
+        const updated = updatedById.get(session.sessionId);
+
+        // Seats must still fit the people who already have one, and the room
+        const seatError = 'maxSeats' in sessionChanges ? validateMaxSeats(session, sessionChanges.maxSeats) : '';
+        if (seatError) return fail(session, seatError);
+        const room = findRoom(rooms, updated.roomId);
+        if (room && ('roomId' in sessionChanges || 'maxSeats' in sessionChanges) &&
+          (!updated.maxSeats || updated.maxSeats > room.capacity)) {
+          return fail(session, `${room.name} only seats ${room.capacity}`);
+        }
+
+        if (session.sessionId === editingId || !SCHEDULE_FIELDS.some(field => field in sessionChanges)) continue;
+        const clashes = findConflicts(updated, others);
+        const roomClash = clashes.find(conflict => conflict.reasons.includes('location') && conflict.session.roomId);
+        if (roomClash) {
+          return fail(session, `${room?.name || 'The room'} is already booked: ${describeConflict(roomClash)}. Pick another room or time.`);
+        }
+        seriesConflicts.push(...clashes);
+      }
+      if (seriesConflicts.length > 0 && !window.confirm(
+        `Other sessions in the series clash with ${seriesConflicts.length} session(s):\n\n${seriesConflicts.map(describeConflict).join('\n')}\n\nSave anyway?`
+      )) {
+        setSubmitting(false);
+        return;
+      }
+
+      if (editSeries) {
+        const count = await sessionDB.updateSeries(original.seriesId, seriesChanges, { ...seriesOptions, editor });
+        alert(`Updated ${count} session${count === 1 ? '' : 's'} in the series.`);
+      } else {
+        await sessionDB.editSession(editingId, changes, editor);
+      }
+      navigate(`/sessions/${editingId}`);
+    } catch (error) {
+      console.error('Error saving session changes:', error);
+      setError(`Failed to save changes: ${error.message}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (isEdit && !original) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <motion.div
+          animate={{ rotate: 360 }}
+          transition={{ duration: 2, repeat: Infinity, ease: 'linear' }}
+          className="w-12 h-12 border-4 border-purple-300 border-t-white rounded-full"
+        />
+      </div>
+    );
+  }
+
+  const backPath = isEdit ? `/sessions/${editingId}` : '/sessions';
+
   return (
     <motion.div
       initial={{ opacity: 0 }}
@@ -141,11 +421,11 @@ function CreateSessionPage({ currentUser }) {
         {/* Back Button */}
         <motion.button
           whileHover={{ x: -5 }}
-          onClick={() => navigate('/sessions')}
+          onClick={() => navigate(backPath)}
           className="flex items-center gap-2 text-purple-400 hover:text-purple-300 mb-8 transition-colors"
         >
           <ArrowLeft size={20} />
-          Back to Sessions
+          {isEdit ? 'Back to Session' : 'Back to Sessions'}
         </motion.button>
 
         {/* Header */}
@@ -155,9 +435,13 @@ function CreateSessionPage({ currentUser }) {
           transition={{ delay: 0.1 }}
           className="mb-8"
         >
-          <h1 className="text-4xl font-bold text-white mb-2">Create New Session</h1>
+          <h1 className="text-4xl font-bold text-white mb-2">{isEdit ? 'Edit Session' : 'Create New Session'}</h1>
           <p className="text-gray-400">
-            Share your knowledge and help others learn. Sessions are saved offline instantly.
+            {isEdit
+              ? (original.attendees || []).length > 0
+                ? `All ${original.attendees.length} attendee${original.attendees.length === 1 ? '' : 's'} will be notified of your changes.`
+                : 'Changes are saved offline instantly and synced when you are online.'
+              : 'Share your knowledge and help others learn. Sessions are saved offline instantly.'}
           </p>
         </motion.div>
 
@@ -169,6 +453,30 @@ function CreateSessionPage({ currentUser }) {
           onSubmit={handleSubmit}
           className="glass rounded-2xl p-8 border border-purple-500/20 space-y-6"
         >
+          {/* Series scope */}
+          {isEdit && original.seriesId && (
+            <div className="flex flex-wrap gap-6 text-gray-300">
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  checked={scope === 'this'}
+                  onChange={() => setScope('this')}
+                  className="accent-purple-500"
+                />
+                This session only
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  checked={scope === 'series'}
+                  onChange={() => setScope('series')}
+                  className="accent-purple-500"
+                />
+                This and following sessions in the series
+              </label>
+            </div>
+          )}
+
           {/* Title */}
           <div>
             <label className="block text-white font-semibold mb-2">
@@ -216,7 +524,7 @@ function CreateSessionPage({ currentUser }) {
             />
           </div>
 
-          {/* Skill Level and Location */}
+          {/* Skill Level and Room */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
               <label className="block text-white font-semibold mb-2">
@@ -234,21 +542,65 @@ function CreateSessionPage({ currentUser }) {
               </select>
             </div>
 
-            <div>
-              <label className="block text-white font-semibold mb-2">
-                Location *
-              </label>
-              <input
-                type="text"
-                name="location"
-                value={formData.location}
-                onChange={handleChange}
-                placeholder="e.g., Classroom 3, Lab, Online"
-                className="w-full glass rounded-lg px-4 py-3 text-white placeholder-gray-500 border border-purple-500/20 outline-none focus:border-purple-500/40 transition-all"
-              />
-            </div>
+            {rooms.length > 0 ? (
+              <div>
+                <label className="block text-white font-semibold mb-2">
+                  Room *
+                </label>
+                <select
+                  name="roomId"
+                  value={formData.roomId}
+                  onChange={handleRoomChange}
+                  className="w-full glass rounded-lg px-4 py-3 text-white border border-purple-500/20 outline-none cursor-pointer focus:border-purple-500/40 transition-all"
+                >
+                  <option value="" className="bg-slate-900">
+                    {isEdit && !original?.roomId && formData.location ? `${formData.location} (not a campus room)` : 'Choose a room'}
+                  </option>
+                  {roomOptions.map(room => (
+                    <option key={room.roomId} value={room.roomId} className="bg-slate-900">
+                      {roomLabel(room)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ) : (
+              <div>
+                <label className="block text-white font-semibold mb-2">
+                  Location *
+                </label>
+                <input
+                  type="text"
+                  name="location"
+                  value={formData.location}
+                  onChange={handleChange}
+                  placeholder="e.g., Classroom 3, Lab, Online"
+                  className="w-full glass rounded-lg px-4 py-3 text-white placeholder-gray-500 border border-purple-500/20 outline-none focus:border-purple-500/40 transition-all"
+                />
+              </div>
+            )}
           </div>
 
+          {/* Room amenities - filters the room list */}
+          {rooms.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-gray-400 text-sm">Needs:</span>
+              {Object.entries(AMENITIES).map(([amenity, label]) => (
+                <button
+                  key={amenity}
+                  type="button"
+                  onClick={() => toggleAmenity(amenity)}
+                  className={`px-3 py-1 rounded-full text-xs border transition-colors ${
+                    amenityFilter.includes(amenity)
+                      ? 'bg-purple-500/30 border-purple-500/60 text-white'
+                      : 'border-purple-500/20 text-gray-400 hover:text-white'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* Date and Time */}
           <div>
             <label className="block text-white font-semibold mb-2">
@@ -263,6 +615,172 @@ function CreateSessionPage({ currentUser }) {
             />
           </div>
 
+          {/* Duration */}
+          <div>
+            <label className="block text-white font-semibold mb-2">
+              Duration
+            </label>
+            <select
+              name="duration"
+              value={formData.duration}
+              onChange={handleChange}
+              className="w-full glass rounded-lg px-4 py-3 text-white border border-purple-500/20 outline-none focus:border-purple-500/40 transition-all"
+            >
+              {DURATION_OPTIONS.map(minutes => (
+                <option key={minutes} value={String(minutes)} className="bg-slate-900">
+                  {formatDuration(minutes)}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Clash warnings and free slots */}
+          {conflicts.length > 0 && (
+            <div className="rounded-lg p-4 border border-yellow-500/40 bg-yellow-500/10 space-y-3">
+              <p className="flex items-center gap-2 text-yellow-300 font-semibold">
+                <AlertTriangle size={18} />
+                Scheduling clash
+              </p>
+              <ul className="space-y-1 text-sm text-yellow-200">
+                {conflicts.map((conflict, index) => (
+                  <li key={`${conflict.session.sessionId}-${index}`}>{describeConflict(conflict)}</li>
+                ))}
+              </ul>
+              {freeSlots.length > 0 && (
+                <div>
+                  <p className="text-gray-300 text-sm mb-2">Free times nearby:</p>
+                  <div className="flex flex-wrap gap-2">
+                    {freeSlots.map(slot => (
+                      <button
+                        key={slot.toISOString()}
+                        type="button"
+                        onClick={() => setFormData(prev => ({ ...prev, dateTime: toLocalDateTime(slot) }))}
+                        className="px-3 py-1 rounded-lg text-sm border border-purple-500/40 text-purple-200 hover:bg-purple-500/20 transition-colors"
+                      >
+                        {slot.toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Location calendar for the chosen day */}
+          {locationDay.length > 0 && (
+            <div className="rounded-lg p-4 border border-purple-500/20 text-sm">
+              <p className="text-gray-300 mb-2">
+                Also booked in {formData.location.trim()} on {new Date(formData.dateTime).toLocaleDateString()}:
+              </p>
+              <ul className="space-y-1 text-gray-400">
+                {locationDay.map(session => (
+                  <li key={session.sessionId}>
+                    {new Date(session.dateTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    {' – '}
+                    {formatDuration(getDuration(session))} · {session.title}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Repeat - recurring series are for mentors */}
+          {!isEdit && can(currentUser, 'session:create-series') && (
+            <div className="glass rounded-lg p-4 border border-purple-500/20">
+              <label className="flex items-center gap-3 text-white font-semibold cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={repeat}
+                  onChange={(e) => setRepeat(e.target.checked)}
+                  className="w-4 h-4 accent-purple-500"
+                />
+                <Repeat size={18} className="text-purple-400" />
+                Repeat weekly
+              </label>
+
+              {repeat && (
+                <div className="mt-4 space-y-4">
+                  <div className="flex items-center gap-3 text-gray-300">
+                    <span>Every</span>
+                    <select
+                      value={rule.interval}
+                      onChange={(e) => setRule({ ...rule, interval: e.target.value })}
+                      className="glass rounded-lg px-3 py-2 text-white border border-purple-500/20 outline-none cursor-pointer"
+                    >
+                      <option value={1}>week</option>
+                      <option value={2}>2 weeks</option>
+                      <option value={3}>3 weeks</option>
+                      <option value={4}>4 weeks</option>
+                    </select>
+                    <span>on</span>
+                  </div>
+
+                  <div className="flex flex-wrap gap-2">
+                    {WEEKDAYS.map((label, day) => (
+                      <button
+                        key={label}
+                        type="button"
+                        onClick={() => toggleDay(day)}
+                        className={`px-3 py-2 rounded-lg text-sm font-medium border transition-all ${
+                          rule.daysOfWeek.includes(day)
+                            ? 'bg-purple-500/30 text-white border-purple-500/50'
+                            : 'text-gray-400 border-purple-500/20 hover:text-white'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <label className="flex items-center gap-3 text-gray-300">
+                      <input
+                        type="radio"
+                        checked={rule.endMode === 'count'}
+                        onChange={() => setRule({ ...rule, endMode: 'count' })}
+                        className="accent-purple-500"
+                      />
+                      After
+                      <input
+                        type="number"
+                        min="2"
+                        max={MAX_OCCURRENCES}
+                        value={rule.count}
+                        onChange={(e) => setRule({ ...rule, count: e.target.value, endMode: 'count' })}
+                        className="w-20 glass rounded-lg px-3 py-2 text-white border border-purple-500/20 outline-none"
+                      />
+                      sessions
+                    </label>
+                    <label className="flex items-center gap-3 text-gray-300">
+                      <input
+                        type="radio"
+                        checked={rule.endMode === 'until'}
+                        onChange={() => setRule({ ...rule, endMode: 'until' })}
+                        className="accent-purple-500"
+                      />
+                      Until
+                      <input
+                        type="date"
+                        value={rule.until}
+                        onChange={(e) => setRule({ ...rule, until: e.target.value, endMode: 'until' })}
+                        className="glass rounded-lg px-3 py-2 text-white border border-purple-500/20 outline-none"
+                      />
+                    </label>
+                  </div>
+
+                  {occurrences.length > 0 && (
+                    <p className="text-gray-400 text-sm">
+                      {describeRule(recurrenceRule)} — {occurrences.length} session{occurrences.length === 1 ? '' : 's'} from{' '}
+                      {new Date(occurrences[0]).toLocaleDateString()} to{' '}
+                      {new Date(occurrences[occurrences.length - 1]).toLocaleDateString()}
+                      {occurrences.length >= MAX_OCCURRENCES && ` (limited to ${MAX_OCCURRENCES})`}
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Max Seats */}
           <div>
             <label className="block text-white font-semibold mb-2">
@@ -273,8 +791,9 @@ function CreateSessionPage({ currentUser }) {
               name="maxSeats"
               value={formData.maxSeats}
               onChange={handleChange}
-              placeholder="Leave blank for unlimited"
+              placeholder={selectedRoom ? `Leave blank for the room's ${selectedRoom.capacity} seats` : 'Leave blank for unlimited'}
               min="1"
+              max={selectedRoom?.capacity}
               className="w-full glass rounded-lg px-4 py-3 text-white placeholder-gray-500 border border-purple-500/20 outline-none focus:border-purple-500/40 transition-all"
             />
           </div>
@@ -310,7 +829,7 @@ function CreateSessionPage({ currentUser }) {
               type="button"
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
-              onClick={() => navigate('/sessions')}
+              onClick={() => navigate(backPath)}
               className="flex-1 bg-gray-500/20 text-gray-300 py-3 rounded-lg font-semibold hover:bg-gray-500/30 transition-all border border-gray-500/30"
             >
               Cancel
@@ -322,7 +841,9 @@ function CreateSessionPage({ currentUser }) {
               whileTap={{ scale: 0.95 }}
               className="flex-1 bg-gradient-to-r from-purple-500 to-pink-600 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
             >
-              {submitting ? 'Creating...' : 'Create Session'}
+              {isEdit
+                ? (submitting ? 'Saving...' : 'Save Changes')
+                : submitting ? 'Creating...' : repeat ? 'Create Series' : 'Create Session'}
             </motion.button>
           </div>
 
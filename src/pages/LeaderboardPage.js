@@ -6,18 +6,23 @@
 import React, { useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { Trophy, Medal } from 'lucide-react';
-import { userDB } from '../db/database';
+import { userDB, onDataChange } from '../db/database';
+import { isOffline } from '../services/api';
+import { getAvatarUrl, handleAvatarError } from '../services/auth';
+import OfflineState from '../components/OfflineState';
 
 function LeaderboardPage() {
   const [leaderboard, setLeaderboard] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [offline, setOffline] = useState(false);
 
   useEffect(() => {
     loadLeaderboard();
+    return onDataChange('users', () => loadLeaderboard(false));
   }, []);
 
-  const loadLeaderboard = async () => {
-    setLoading(true);
+  const loadLeaderboard = async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
     try {
       const users = await userDB.getAllUsers();
       const sorted = users.sort((a, b) => (b.totalPoints || 0) - (a.totalPoints || 0));
@@ -25,6 +30,7 @@ function LeaderboardPage() {
     } catch (error) {
       console.error('Error loading leaderboard:', error);
     }
+    setOffline(isOffline());
     setLoading(false);
   };
 
@@ -122,21 +128,10 @@ function LeaderboardPage() {
                     <div className="flex items-center gap-3 mb-2">
                       <div className="w-12 h-12 rounded-full overflow-hidden border-2 border-purple-400">
                         <img
-                          src={(() => {
-                            const isGoogleUser = user?.authProvider === 'google';
-                            if (isGoogleUser) return user.profilePicture || user.photoURL || '';
-                            return user.profilePicture || user.photoURL || `https://i.pravatar.cc/150?u=${user.userId}`;
-                          })()}
+                          src={getAvatarUrl(user)}
                           alt={user.name}
-                          onError={(e) => {
-                            e.currentTarget.onerror = null;
-                            const isGoogleUser = user?.authProvider === 'google';
-                            if (isGoogleUser) {
-                              e.currentTarget.src = 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="150" height="150"><rect width="100%" height="100%" fill="%23374151"/><text x="50%" y="50%" fill="%239CA3AF" font-size="36" text-anchor="middle" dominant-baseline="middle">?</text></svg>';
-                            } else {
-                              e.currentTarget.src = `https://i.pravatar.cc/150?u=${user.userId}`;
-                            }
-                          }}
+                          referrerPolicy="no-referrer"
+                          onError={handleAvatarError(user)}
                           className="w-full h-full object-cover"
                         />
                       </div>
@@ -188,6 +183,8 @@ function LeaderboardPage() {
               </motion.div>
             ))}
           </motion.div>
+        ) : offline ? (
+          <OfflineState what="the leaderboard" onRetry={() => loadLeaderboard()} />
         ) : (
           <motion.div
             initial={{ opacity: 0 }}
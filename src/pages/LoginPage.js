@@ -7,10 +7,12 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { LogIn, User, Lock, AlertCircle } from 'lucide-react';
-import { userAPI } from '../services/api';
+import { userDB } from '../db/database';
+import { useAuth } from '../context/AuthContext';
 
 function LoginPage({ onLogin }) {
   const navigate = useNavigate();
+  const { signInWithGoogle } = useAuth();
   const [formData, setFormData] = useState({
     email: '',
     password: ''
@@ -32,58 +34,25 @@ function LoginPage({ onLogin }) {
     setError('');
 
     try {
-      // Call backend API to login
-      const user = await userAPI.login(formData.email);
+      // Call backend API to login - the server checks the password
+      const user = await userDB.login(formData.email.toLowerCase().trim(), formData.password);
       
       if (user && !user.message) {
-        // User found
-        localStorage.setItem('userId', user.userId);
-        onLogin(user);
+        await onLogin(user);
         navigate('/');
       } else {
-        setError('User not found. Please sign up first.');
+        setError('Invalid email or password.');
       }
     } catch (err) {
       console.error('Login error:', err);
-      setError(err.response?.data?.message || 'Login failed. Please try again.');
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const handleGuestLogin = async () => {
-    setLoading(true);
-    try {
-      const userId = `guest-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      const userName = `Guest ${Math.floor(Math.random() * 10000)}`;
-
-      const user = {
-        userId,
-        name: userName,
-        email: `${userId}@guest.local`,
-        totalPoints: 0,
-        sessionsCreated: 0,
-        sessionsAttended: 0,
-        averageRating: 0,
-        badges: [],
-        profilePicture: `https://i.pravatar.cc/150?u=${userId}`
-      };
-
-      try {
-        await userAPI.upsertUser(user);
-      } catch (errUpsert) {
-        // If backend upsert fails (network or server), continue with a local guest user
-        console.warn('Guest upsert failed, proceeding locally:', errUpsert);
+      if (err.code === 'UNAUTHORIZED' || err.code === 'NOT_FOUND') {
+        // Same message either way so the form doesn't reveal which emails exist
+        setError('Invalid email or password.');
+      } else if (err.offline) {
+        setError('You appear to be offline. Connect to the internet to sign in.');
+      } else {
+        setError(err.message || 'Login failed. Please try again.');
       }
-
-      // Persist the guest locally so the app can continue even if backend is down
-      localStorage.setItem('userId', userId);
-      localStorage.setItem('currentUser', JSON.stringify(user));
-      onLogin(user);
-      navigate('/');
-    } catch (err) {
-      console.error('Guest login error:', err);
-      setError('Failed to create guest account.');
     } finally {
       setLoading(false);
     }
@@ -162,9 +131,6 @@ function LoginPage({ onLogin }) {
                   placeholder="Enter your password"
                 />
               </div>
-              <p className="mt-2 text-xs text-gray-500">
-                💡 Demo mode: Any password works for existing users
-              </p>
             </div>
 
             {/* Login Button */}
@@ -201,7 +167,7 @@ function LoginPage({ onLogin }) {
             whileHover={{ scale: 1.02 }}
             whileTap={{ scale: 0.98 }}
             type="button"
-            onClick={() => window.location.href = 'http://localhost:5000/auth/google'}
+            onClick={() => signInWithGoogle('/')}
             className="w-full py-3 bg-red-500 hover:bg-red-600 text-white font-semibold rounded-lg shadow-lg hover:shadow-xl transition-all flex items-center justify-center gap-2"
           >
             <svg className="w-5 h-5" viewBox="0 0 24 24">
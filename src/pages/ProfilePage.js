@@ -4,12 +4,16 @@
  */
 
 import React, { useEffect, useState, useCallback } from 'react';
-import { Award, TrendingUp, Zap, Edit2, Save, X } from 'lucide-react';
+import { Award, TrendingUp, Zap, Edit2, Save, X, HardDrive, UserPlus } from 'lucide-react';
 import { badgeDB, certificateDB, skillProgressDB, userDB } from '../db/database';
-import { userAPI } from '../services/api';
-import { useNavigate } from 'react-router-dom';
-
-function ProfilePage({ currentUser }) {
+import { getAvatarUrl, handleAvatarError } from '../services/auth';
+import { Link, useNavigate } from 'react-router-dom';
+import GuestUpgradeDialog, { isGuestAccount } from '../components/GuestUpgradeDialog';
+import DeviceSessions from '../components/DeviceSessions';
+import CalendarFeed from '../components/CalendarFeed';
+import { getRole, ROLE_LABELS } from '../utils/roles';
+
+function ProfilePage({ currentUser, onLogin }) {
   const navigate = useNavigate();
   const [badges, setBadges] = useState([]);
   const [certificates, setCertificates] = useState([]);
@@ -18,6 +22,7 @@ function ProfilePage({ currentUser }) {
   const [loading, setLoading] = useState(true);
   const [editMode, setEditMode] = useState(false);
   const [editedName, setEditedName] = useState(currentUser?.name || '');
+  const [showUpgrade, setShowUpgrade] = useState(false);
 
   const loadProfileData = useCallback(async () => {
     setLoading(true);
@@ -38,33 +43,6 @@ function ProfilePage({ currentUser }) {
           console.log("latestUser", latestUser);
           setEditedName(latestUser.name);
         }
-
-        // If we're online, and this is a Google-authenticated account (or the local record
-        // lacks a profilePicture), try to fetch the authoritative user object from the server
-        // (the backend stores the Google `picture` URL). Update local state and sync local DB.
-        if (navigator.onLine && currentUser) {
-          const shouldRefreshFromServer = (currentUser?.authProvider === 'google') || !latestUser?.profilePicture;
-          if (shouldRefreshFromServer) {
-            try {
-              const serverUser = await userAPI.getUser(currentUser.userId);
-              if (serverUser) {
-                // prefer server-side fields (especially profilePicture and authProvider)
-                setUpdatedUser(serverUser);
-                setEditedName(serverUser.name || editedName);
-                // sync to local IndexedDB/local userDB so subsequent offline loads reflect the change
-                try {
-                  await userDB.upsertUser(serverUser);
-                } catch (upsertErr) {
-                  // non-fatal: log and continue
-                  console.warn('ProfilePage: failed to sync server user to local DB', upsertErr);
-                }
-                console.log('ProfilePage: refreshed user from server', serverUser);
-              }
-            } catch (err) {
-              console.warn('ProfilePage: could not fetch server user', err);
-            }
-          }
-        }
       }
     } catch (error) {
       console.error('Error loading profile data:', error);
@@ -84,10 +62,8 @@ function ProfilePage({ currentUser }) {
 
   const handleSaveProfile = async () => {
     try {
-      await userDB.upsertUser({
-        ...updatedUser,
-        name: editedName.trim()
-      });
+      // Queued as an edit so a rename made on another device is detected on sync
+      await userDB.updateProfile(currentUser.userId, { name: editedName.trim() });
 
       const refreshedUser = await userDB.getUser(currentUser.userId);
       setUpdatedUser(refreshedUser);
@@ -98,6 +74,14 @@ function ProfilePage({ currentUser }) {
     }
   };
 
+  const handleUpgraded = (user, merged) => {
+    setShowUpgrade(false);
+    onLogin(user);
+    alert(merged
+      ? 'Your guest progress was merged into your existing account.'
+      : 'Your account is ready! Sign in with your email from now on.');
+  };
+
   const handleCancelEdit = () => {
     setEditedName(updatedUser.name);
     setEditMode(false);
@@ -125,44 +109,40 @@ function ProfilePage({ currentUser }) {
     );
   }
 
-  //Adding
-  // Determine if user is Google-authenticated
-  const isGoogleUser =
-    updatedUser?.authProvider === 'google' ||
-    currentUser?.authProvider === 'google';
-
-  // Safely handle Google photo URLs (autosizing)
-  const getGooglePhoto = (url) => {
-    if (!url) return '';
-    if (!url.startsWith('https://lh3.googleusercontent.com')) return url;
-    return url.includes('=') ? url : `${url}=s200-c`;
-  };
-
   // Final avatar URL (shared by src & onError)
-  const avatarUrl = (() => {
-    if (isGoogleUser) {
-      return (
-        getGooglePhoto(currentUser?.photoURL) ||
-        getGooglePhoto(currentUser?.profilePicture) ||
-        getGooglePhoto(updatedUser?.profilePicture) ||
-        ''
-      );
-    }
-
-    return (
-      updatedUser?.profilePicture ||
-      currentUser?.profilePicture ||
-      currentUser?.photoURL ||
-      `https://i.pravatar.cc/150?u=${currentUser?.userId || currentUser?.email}`
-    );
-  })();
-
+  const avatarUrl = getAvatarUrl(updatedUser || currentUser, 200);
 
   // No animation variants — simplified without framer-motion
 
   return (
     <div className="min-h-screen pb-12">
       <div className="max-w-6xl mx-auto px-4 pt-8">
+        {/* Guest upgrade */}
+        {isGuestAccount(currentUser) && (
+          <div className="glass rounded-2xl p-6 border border-yellow-500/30 mb-8 flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+            <div>
+              <p className="text-white font-semibold">You're using a guest account</p>
+              <p className="text-gray-400 text-sm">
+                Add an email and password so your sessions, points and certificates aren't lost.
+              </p>
+            </div>
+            <button
+              onClick={() => setShowUpgrade(true)}
+              className="flex items-center justify-center gap-2 px-4 py-2 bg-gradient-to-r from-purple-500 to-pink-600 text-white rounded-lg hover:shadow-lg transition-all"
+            >
+              <UserPlus size={18} />
+              Create Account
+            </button>
+          </div>
+        )}
+        {showUpgrade && (
+          <GuestUpgradeDialog
+            currentUser={updatedUser || currentUser}
+            onClose={() => setShowUpgrade(false)}
+            onUpgraded={handleUpgraded}
+          />
+        )}
+
         {/* Profile Header */}
         <div className="glass rounded-2xl p-8 border border-purple-500/20 mb-8">
           <div className="flex flex-col md:flex-row items-center gap-8">
@@ -173,15 +153,7 @@ function ProfilePage({ currentUser }) {
                 alt={updatedUser?.name || currentUser?.name}
                 className="w-full h-full object-cover"
                 referrerPolicy="no-referrer"
-                onError={(e) => {
-                  e.currentTarget.onerror = null;
-
-                  const fallback = isGoogleUser
-                    ? 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="150" height="150"><rect width="100%" height="100%" fill="%23374151"/><text x="50%" y="50%" fill="%239CA3AF" font-size="36" text-anchor="middle" dominant-baseline="middle">?</text></svg>'
-                    : `https://i.pravatar.cc/150?u=${currentUser?.userId || currentUser?.email}`;
-
-                  e.currentTarget.src = fallback;
-                }}
+                onError={handleAvatarError(updatedUser || currentUser)}
               />
 
 
@@ -227,7 +199,10 @@ function ProfilePage({ currentUser }) {
                   </button>
                 </div>
               )}
-              <p className="text-gray-400 mb-4">{currentUser.email}</p>
+              <p className="text-gray-400 mb-2">{currentUser.email}</p>
+              <span className="inline-block mb-4 px-3 py-1 rounded-full text-xs font-semibold bg-purple-500/20 text-purple-300 border border-purple-500/30">
+                {ROLE_LABELS[getRole(updatedUser || currentUser)]}
+              </span>
               <p className="text-purple-300 mb-6">
                 Member since {new Date(updatedUser?.createdAt || currentUser.createdAt || Date.now()).toLocaleDateString()}
               </p>
@@ -348,7 +323,7 @@ function ProfilePage({ currentUser }) {
 
         {/* Skills Section */}
         {skillProgress.length > 0 && (
-          <div className="glass rounded-2xl p-8 border border-purple-500/20">
+          <div className="glass rounded-2xl p-8 border border-purple-500/20 mb-8">
             <div className="flex items-center gap-3 mb-6">
               <TrendingUp className="text-green-400" size={28} />
               <h2 className="text-2xl font-bold text-white">Skills Progress</h2>
@@ -383,6 +358,29 @@ function ProfilePage({ currentUser }) {
             </div>
           </div>
         )}
+
+        {/* Signed-in devices - guests have no server session to manage */}
+        {!isGuestAccount(currentUser) && <DeviceSessions />}
+
+        {/* Calendar subscription - the feed lives on the server, so not for guests */}
+        {!isGuestAccount(currentUser) && <CalendarFeed currentUser={currentUser} />}
+
+        {/* Backup */}
+        <div className="glass rounded-2xl p-8 border border-purple-500/20 flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <HardDrive className="text-purple-400" size={28} />
+            <div>
+              <h2 className="text-2xl font-bold text-white">Backup & Restore</h2>
+              <p className="text-gray-400 text-sm">Keep a copy of your offline data or move it to another device</p>
+            </div>
+          </div>
+          <Link
+            to="/backup"
+            className="px-4 py-2 rounded-lg border border-purple-500/40 text-purple-300 hover:bg-purple-500/10 transition-colors text-center"
+          >
+            Manage Backups
+          </Link>
+        </div>
       </div>
     </div>
   );
@@ -4,9 +4,9 @@
  */
 
 import React, { useEffect, useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import { ArrowLeft, Calendar, MapPin, Users, Trophy, Download, CheckCircle } from 'lucide-react';
+import { ArrowLeft, Calendar, MapPin, Users, Trophy, Download, CheckCircle, Eye, EyeOff, ChevronUp, ChevronDown, Clock, UserMinus, Edit2, XCircle, CalendarPlus } from 'lucide-react';
 import {
   sessionDB,
   attendeeDB,
@@ -25,10 +25,23 @@ import {
 } from '../utils/pointsCalculator';
 import { generateSessionPDF } from '../utils/pdfGenerator';
 import FeedbackForm from '../components/FeedbackForm';
+import SeriesPanel from '../components/SeriesPanel';
+import SessionHistory from '../components/SessionHistory';
+import CheckInPanel from '../components/CheckInPanel';
+import AttendanceRegister from '../components/AttendanceRegister';
+import { can, canManageSession } from '../utils/roles';
+import { isSessionFull, waitlistPosition, moveInWaitlist } from '../utils/waitlist';
+import { getDuration, getEndTime, formatDuration, isOverdue, AUTO_CLOSE_AFTER_HOURS } from '../utils/sessionLifecycle';
+import { findConflicts, describeConflict } from '../utils/scheduling';
+import { isCheckedIn, normalizeCode, isValidCodeFormat } from '../utils/checkIn';
+import { getAttendanceCount, getAttendanceRows } from '../utils/attendance';
+import { downloadSessionICS } from '../utils/ical';
 
 function SessionDetailPage({ currentUser }) {
   const { sessionId } = useParams();
   const navigate = useNavigate();
+  // Scanning the mentor's QR code opens the session with ?checkin=<code>
+  const [searchParams] = useSearchParams();
 
   const [session, setSession] = useState(null);
   const [attendees, setAttendees] = useState([]);
@@ -39,6 +52,10 @@ function SessionDetailPage({ currentUser }) {
   const [showCompleteForm, setShowCompleteForm] = useState(false);
   const [sessionStats, setSessionStats] = useState(null);
   const [joining, setJoining] = useState(false);
+  const [seriesSessions, setSeriesSessions] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
+  const [checkInCode, setCheckInCode] = useState(normalizeCode(searchParams.get('checkin')));
+  const [checkingIn, setCheckingIn] = useState(false);
 
   useEffect(() => {
     loadSessionData();
@@ -63,6 +80,9 @@ function SessionDetailPage({ currentUser }) {
         }
       }
 
+      // Other occurrences when this session is part of a recurring series
+      setSeriesSessions(sessionData?.seriesId ? await sessionDB.getSeriesSessions(sessionData.seriesId) : []);
+
       const attendeeList = await attendeeDB.getAttendees(sessionId);
       
       // Fetch attendee names for each user ID
@@ -92,6 +112,17 @@ function SessionDetailPage({ currentUser }) {
       
       setAttendees(attendeesWithNames);
 
+      // Waitlist in queue order, with names for the mentor's view
+      const waitlisted = await Promise.all((sessionData?.waitlist || []).map(async (userId) => {
+        try {
+          const user = await userDB.getUser(userId);
+          return { userId, name: user?.name || `User ${userId}` };
+        } catch (error) {
+          return { userId, name: `User ${userId}` };
+        }
+      }));
+      setWaitlist(waitlisted);
+
       const feedbackList = await feedbackDB.getFeedbackForSession(sessionId);
       setFeedbacks(feedbackList);
 
@@ -100,8 +131,12 @@ function SessionDetailPage({ currentUser }) {
         setIsAttending(attending);
       }
 
-      if (sessionData && feedbackList.length > 0) {
-        calculateStats(sessionData, feedbackList);
+      // Feedback hidden by a coordinator doesn't count towards ratings or points
+      const countedFeedback = feedbackList.filter(f => !f.hidden);
+      if (sessionData && countedFeedback.length > 0) {
+        calculateStats(sessionData, countedFeedback);
+      } else {
+        setSessionStats(null);
       }
     } catch (error) {
       console.error('Error loading session:', error);
@@ -129,12 +164,29 @@ function SessionDetailPage({ currentUser }) {
       return;
     }
 
+    // Warn before double-booking the student's own calendar
+    try {
+      const clashes = findConflicts(session, await sessionDB.getAllSessions() || [], { userId: currentUser.userId });
+      if (clashes.length > 0 && !window.confirm(
+        `This overlaps with:\n\n${clashes.map(describeConflict).join('\n')}\n\nJoin anyway?`
+      )) {
+        return;
+      }
+    } catch (error) {
+      console.warn('Could not check for clashes:', error);
+    }
+
     setJoining(true);
     try {
       const result = await attendeeDB.addAttendee(sessionId, currentUser.userId);
 
-      // sessionAPI returns the updated session object on success
-      if (result && result.attendees) {
+      // sessionAPI returns the updated session object on success; a full
+      // session puts the user on its waitlist instead
+      const position = waitlistPosition(result, currentUser.userId);
+      if (position > 0) {
+        await loadSessionData();
+        alert(`This session is full. You're #${position} on the waitlist and will be moved in automatically when a seat frees up.`);
+      } else if (result && result.attendees) {
         setIsAttending(true);
         await loadSessionData();
         alert('Successfully joined the session!');
@@ -144,8 +196,8 @@ function SessionDetailPage({ currentUser }) {
         alert('Joined (response unknown)');
       }
     } catch (error) {
-      // Try to surface backend message if present
-      const msg = error?.response?.data?.message || error?.message || String(error);
+      // ApiError carries the backend message
+      const msg = error?.message || String(error);
       console.error('Error joining session:', error);
       alert(`Failed to join session: ${msg}`);
     } finally {
@@ -153,9 +205,109 @@ function SessionDetailPage({ currentUser }) {
     }
   };
 
+  // Leaving and removal share one flow; the reason is optional for both
+  const handleRemoveAttendee = async (attendee) => {
+    const leaving = attendee.userId === currentUser.userId;
+    const reason = window.prompt(leaving
+      ? 'Leave this session? You can add a reason for the mentor (optional).'
+      : `Remove ${attendee.name} from this session? Add a reason (optional).`);
+    if (reason === null) return;
+
+    try {
+      await sessionDB.removeAttendee(sessionId, attendee.userId, reason.trim());
+      if (leaving) setIsAttending(false);
+      await loadSessionData();
+    } catch (error) {
+      console.error('Error removing attendee:', error);
+      alert(`Failed to ${leaving ? 'leave session' : 'remove attendee'}: ${error.message}`);
+    }
+  };
+
+  const handleCheckIn = async (e) => {
+    e.preventDefault();
+    if (!isValidCodeFormat(checkInCode)) {
+      alert('Enter the 6-digit code shown by your mentor.');
+      return;
+    }
+
+    setCheckingIn(true);
+    try {
+      await sessionDB.checkIn(sessionId, currentUser.userId, normalizeCode(checkInCode));
+      setCheckInCode('');
+      await loadSessionData();
+      if (!navigator.onLine) {
+        alert('Checked in offline - your code will be verified when you reconnect.');
+      }
+    } catch (error) {
+      console.error('Error checking in:', error);
+      alert(`Check-in failed: ${error.message}`);
+    } finally {
+      setCheckingIn(false);
+    }
+  };
+
+  const handleCancelSession = async () => {
+    const reason = window.prompt('Cancel this session? Attendees will be notified with this reason.');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert('Please give a reason for cancelling.');
+      return;
+    }
+
+    try {
+      await sessionDB.cancelSession(sessionId, reason.trim(), { userId: currentUser.userId, name: currentUser.name });
+      await loadSessionData();
+    } catch (error) {
+      console.error('Error cancelling session:', error);
+      alert(`Failed to cancel session: ${error.message}`);
+    }
+  };
+
+  const handleLeaveWaitlist = async () => {
+    if (!window.confirm('Leave the waitlist? You will lose your place in the queue.')) return;
+    try {
+      await sessionDB.leaveWaitlist(sessionId, currentUser.userId);
+      await loadSessionData();
+    } catch (error) {
+      console.error('Error leaving waitlist:', error);
+      alert(`Failed to leave waitlist: ${error.message}`);
+    }
+  };
+
+  const handleMoveWaitlisted = async (userId, toIndex) => {
+    const order = moveInWaitlist(waitlist.map(w => w.userId), userId, toIndex);
+    try {
+      await sessionDB.reorderWaitlist(sessionId, order);
+      await loadSessionData();
+    } catch (error) {
+      console.error('Error reordering waitlist:', error);
+      alert(error.offline
+        ? 'You need to be online to reorder the waitlist.'
+        : `Failed to reorder waitlist: ${error.message}`);
+    }
+  };
+
+  const handleModerateFeedback = async (feedback) => {
+    const hidden = !feedback.hidden;
+    let reason = '';
+    if (hidden) {
+      reason = window.prompt('Why is this feedback being hidden?');
+      if (reason === null) return;
+    }
+
+    try {
+      await feedbackDB.moderateFeedback(feedback.feedbackId, { hidden, reason: reason.trim() });
+      await loadSessionData();
+    } catch (error) {
+      console.error('Error moderating feedback:', error);
+      alert(`Failed to update feedback: ${error.message}`);
+    }
+  };
+
   const handleDownloadPDF = async () => {
     try {
-      await generateSessionPDF(session, feedbacks, session.creatorName);
+      await generateSessionPDF(session, feedbacks.filter(f => !f.hidden), session.creatorName,
+        getAttendanceRows(session, attendees));
     } catch (error) {
       console.error('Error generating PDF:', error);
       alert('Failed to generate PDF');
@@ -169,7 +321,7 @@ function SessionDetailPage({ currentUser }) {
 
       // Calculate and award points to creator
       const sessionData = await sessionDB.getSession(sessionId);
-      const allFeedbacks = [...feedbacks, createdFeedback];
+      const allFeedbacks = [...feedbacks.filter(f => !f.hidden), createdFeedback];
       
       const basePoints = calculateSessionPoints(sessionData);
       const bonusPoints = calculateBonusPoints(allFeedbacks);
@@ -193,7 +345,7 @@ function SessionDetailPage({ currentUser }) {
           sessionTitle: session.title,
           certificateType: avgRating >= 4.5 ? 'outstanding-helper' : 'peer-mentor',
           averageRating: avgRating,
-          totalAttendees: attendees.length
+          totalAttendees: getAttendanceCount(sessionData)
         });
       }
 
@@ -266,6 +418,11 @@ function SessionDetailPage({ currentUser }) {
   }
 
   const isCreator = currentUser && session && String(currentUser.userId) === String(session.creatorId);
+  const canManage = canManageSession(currentUser, session);
+  const canModerate = can(currentUser, 'feedback:moderate');
+  const visibleFeedbacks = canModerate ? feedbacks : feedbacks.filter(f => !f.hidden);
+  const myWaitlistPosition = currentUser ? waitlistPosition(session, currentUser.userId) : 0;
+  const isFull = isSessionFull(session);
 
   return (
     <motion.div
@@ -297,17 +454,25 @@ function SessionDetailPage({ currentUser }) {
               <h1 className="text-4xl font-bold text-white mb-2">{session.title}</h1>
               <p className="text-xl text-purple-300">{session.topic}</p>
             </div>
-            {isCreator && (
+            {canManage && (
               <motion.div
                 initial={{ scale: 0 }}
                 animate={{ scale: 1 }}
                 className="px-4 py-2 bg-purple-500/30 rounded-lg text-purple-300 font-semibold border border-purple-500/50"
               >
-                Your Session
+                {isCreator ? 'Your Session' : 'Coordinator Access'}
               </motion.div>
             )}
           </div>
 
+          {/* Cancellation notice */}
+          {session.status === 'cancelled' && (
+            <div className="mb-6 p-4 rounded-lg bg-red-500/10 border border-red-500/30 text-red-300">
+              <p className="font-semibold">This session has been cancelled</p>
+              {session.cancellationReason && <p className="text-sm mt-1">{session.cancellationReason}</p>}
+            </div>
+          )}
+
           {/* Status and Level */}
           <div className="flex flex-wrap gap-3 mb-6">
             <span className="px-4 py-2 bg-yellow-500/20 text-yellow-300 rounded-full text-sm font-semibold">
@@ -316,12 +481,28 @@ function SessionDetailPage({ currentUser }) {
             <span className={`px-4 py-2 rounded-full text-sm font-semibold ${
               session.status === 'scheduled' ? 'bg-blue-500/20 text-blue-300' :
               session.status === 'ongoing' ? 'bg-purple-500/20 text-purple-300' :
+              session.status === 'cancelled' ? 'bg-red-500/20 text-red-300' :
               'bg-green-500/20 text-green-300'
             }`}>
               {session.status.charAt(0).toUpperCase() + session.status.slice(1)}
             </span>
+            {session.autoClosed && (
+              <span className="px-4 py-2 bg-gray-500/20 text-gray-300 rounded-full text-sm font-semibold">
+                Closed automatically
+              </span>
+            )}
           </div>
 
+          {/* Ended but not completed yet */}
+          {canManage && isOverdue(session) && (
+            <div className="mb-6 p-4 rounded-lg bg-yellow-500/10 border border-yellow-500/30 text-yellow-300">
+              <p className="font-semibold">This session ended at {getEndTime(session).toLocaleString()}</p>
+              <p className="text-sm mt-1">
+                Complete it to award points. It will be closed automatically without points {AUTO_CLOSE_AFTER_HOURS} hours after it ended.
+              </p>
+            </div>
+          )}
+
           {/* Description */}
           <p className="text-gray-300 text-lg mb-8 leading-relaxed">
             {session.description}
@@ -339,6 +520,7 @@ function SessionDetailPage({ currentUser }) {
                 <p className="text-white font-semibold">
                   {new Date(session.dateTime).toLocaleString()}
                 </p>
+                <p className="text-gray-400 text-sm">{formatDuration(getDuration(session))}</p>
               </div>
             </motion.div>
 
@@ -390,30 +572,109 @@ function SessionDetailPage({ currentUser }) {
             </motion.div>
           )}
 
+          {/* Mentor actions */}
+          {canManage && session.status === 'scheduled' && (
+            <div className="flex flex-wrap gap-3 mb-6">
+              <Link
+                to={`/sessions/${sessionId}/edit`}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg border border-purple-500/40 text-purple-300 hover:bg-purple-500/10 transition-colors"
+              >
+                <Edit2 size={16} />
+                Edit Session
+              </Link>
+              <button
+                onClick={handleCancelSession}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg border border-red-500/40 text-red-300 hover:bg-red-500/10 transition-colors"
+              >
+                <XCircle size={16} />
+                Cancel Session
+              </button>
+            </div>
+          )}
+
+          {/* Attendee check-in with the mentor's code */}
+          {isAttending && session.status === 'ongoing' && !isCheckedIn(session, currentUser.userId) && (
+            <form onSubmit={handleCheckIn} className="flex flex-col sm:flex-row gap-3 mb-6 p-4 rounded-lg bg-purple-500/10 border border-purple-500/30">
+              <input
+                type="text"
+                inputMode="numeric"
+                value={checkInCode}
+                onChange={(e) => setCheckInCode(normalizeCode(e.target.value))}
+                placeholder="Check-in code"
+                className="flex-1 glass rounded-lg px-4 py-3 text-white font-mono tracking-widest placeholder-gray-500 border border-purple-500/20 outline-none focus:border-purple-500/40"
+              />
+              <button
+                type="submit"
+                disabled={checkingIn}
+                className="px-6 py-3 bg-gradient-to-r from-purple-500 to-pink-600 text-white rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+              >
+                {checkingIn ? 'Checking in...' : 'Check In'}
+              </button>
+            </form>
+          )}
+
           {/* Action Buttons */}
           <div className="flex flex-wrap gap-4 mb-8">
-            {!isAttending && !isCreator && session.status === 'scheduled' && (
+            {!isAttending && !isCreator && !myWaitlistPosition && session.status === 'scheduled' && (
               <motion.button
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
                 onClick={handleJoinSession}
                 className="flex-1 bg-gradient-to-r from-purple-500 to-pink-600 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all"
               >
-                Join Session
+                {isFull ? 'Session Full - Join Waitlist' : 'Join Session'}
               </motion.button>
             )}
 
+            {myWaitlistPosition > 0 && (
+              <div className="flex-1 flex gap-2">
+                <div className="flex-1 bg-yellow-500/20 text-yellow-300 py-3 rounded-lg font-semibold border border-yellow-500/30 flex items-center justify-center gap-2">
+                  <Clock size={20} />
+                  You're #{myWaitlistPosition} on the waitlist
+                </div>
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={handleLeaveWaitlist}
+                  className="px-4 py-3 rounded-lg border border-red-500/40 text-red-300 hover:bg-red-500/10 transition-colors"
+                >
+                  Leave
+                </motion.button>
+              </div>
+            )}
+
             {isAttending && (
+              <div className="flex-1 flex gap-2">
+                <div className="flex-1 bg-green-500/20 text-green-300 py-3 rounded-lg font-semibold border border-green-500/30 flex items-center justify-center gap-2">
+                  <CheckCircle size={20} />
+                  {isCheckedIn(session, currentUser.userId) ? "You're Checked In" : "You're Attending"}
+                </div>
+                {session.status === 'scheduled' && (
+                  <motion.button
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => handleRemoveAttendee({ userId: currentUser.userId, name: currentUser.name })}
+                    className="px-4 py-3 rounded-lg border border-red-500/40 text-red-300 hover:bg-red-500/10 transition-colors"
+                  >
+                    Leave
+                  </motion.button>
+                )}
+              </div>
+            )}
+
+            {['scheduled', 'ongoing'].includes(session.status) && (
               <motion.button
-                disabled
-                className="flex-1 bg-green-500/20 text-green-300 py-3 rounded-lg font-semibold border border-green-500/30 flex items-center justify-center gap-2"
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => downloadSessionICS(session)}
+                className="px-4 py-3 rounded-lg border border-purple-500/40 text-purple-300 hover:bg-purple-500/10 transition-colors flex items-center justify-center gap-2"
               >
-                <CheckCircle size={20} />
-                You're Attending
+                <CalendarPlus size={20} />
+                Add to Calendar
               </motion.button>
             )}
 
-            {isCreator && session.status === 'completed' && (
+            {canManage && session.status === 'completed' && (
               <motion.button
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
@@ -425,7 +686,7 @@ function SessionDetailPage({ currentUser }) {
               </motion.button>
             )}
 
-            {isCreator && session.status !== 'completed' && feedbacks.length > 0 && (
+            {canManage && session.status !== 'completed' && feedbacks.some(f => !f.hidden) && (
               <motion.button
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
@@ -438,6 +699,76 @@ function SessionDetailPage({ currentUser }) {
           </div>
         </motion.div>
 
+        {/* Check-in - mentors show the rotating code while the session runs */}
+        {canManage && session.status === 'ongoing' && (
+          <CheckInPanel session={session} attendees={attendees} onChanged={loadSessionData} />
+        )}
+
+        {/* Register - mentors mark who was there once the session has started */}
+        {canManage && ['ongoing', 'completed'].includes(session.status) && (
+          <AttendanceRegister session={session} attendees={attendees} />
+        )}
+
+        {/* Waitlist - mentors see and reorder the queue */}
+        {canManage && waitlist.length > 0 && (
+          <motion.div
+            initial={{ y: 20, opacity: 0 }}
+            animate={{ y: 0, opacity: 1 }}
+            transition={{ delay: 0.15 }}
+            className="glass rounded-2xl p-8 border border-purple-500/20 mb-8"
+          >
+            <h2 className="text-2xl font-bold text-white mb-2">Waitlist</h2>
+            <p className="text-gray-400 text-sm mb-6">
+              The first person in line is moved in automatically when a seat frees up
+            </p>
+            <div className="space-y-2">
+              {waitlist.map((entry, index) => (
+                <div
+                  key={entry.userId}
+                  className="flex items-center justify-between gap-3 p-3 rounded-lg bg-slate-800/40 border border-purple-500/10"
+                >
+                  <span className="text-white">
+                    <span className="text-gray-500 mr-2">#{index + 1}</span>
+                    {entry.name}
+                  </span>
+                  <div className="flex gap-1">
+                    <button
+                      onClick={() => handleMoveWaitlisted(entry.userId, index - 1)}
+                      disabled={index === 0}
+                      className="p-1 text-gray-400 hover:text-white disabled:opacity-30"
+                      title="Move up"
+                    >
+                      <ChevronUp size={18} />
+                    </button>
+                    <button
+                      onClick={() => handleMoveWaitlisted(entry.userId, index + 1)}
+                      disabled={index === waitlist.length - 1}
+                      className="p-1 text-gray-400 hover:text-white disabled:opacity-30"
+                      title="Move down"
+                    >
+                      <ChevronDown size={18} />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        )}
+
+        {/* Recurring series */}
+        {session.seriesId && seriesSessions.length > 0 && (
+          <SeriesPanel
+            session={session}
+            occurrences={seriesSessions}
+            currentUser={currentUser}
+            canManage={canManage}
+            onChanged={loadSessionData}
+          />
+        )}
+
+        {/* Edits made after creation */}
+        {session.history?.length > 0 && <SessionHistory history={session.history} />}
+
         {/* Feedback Section */}
         <motion.div
           initial={{ y: 20, opacity: 0 }}
@@ -503,15 +834,22 @@ function SessionDetailPage({ currentUser }) {
 
           {/* Feedbacks List */}
           <div className="space-y-4">
-            {feedbacks.length > 0 ? (
-              feedbacks.map((feedback, index) => (
+            {visibleFeedbacks.length > 0 ? (
+              visibleFeedbacks.map((feedback, index) => (
                 <motion.div
                   key={feedback.feedbackId}
                   initial={{ opacity: 0, x: -20 }}
                   animate={{ opacity: 1, x: 0 }}
                   transition={{ delay: index * 0.05 }}
-                  className="glass rounded-lg p-4 border border-purple-500/20 hover:border-purple-500/40 transition-all"
+                  className={`glass rounded-lg p-4 border border-purple-500/20 hover:border-purple-500/40 transition-all ${
+                    feedback.hidden ? 'opacity-60' : ''
+                  }`}
                 >
+                  {feedback.hidden && (
+                    <p className="text-xs text-red-300 mb-2">
+                      Hidden from students{feedback.moderationReason ? ` - ${feedback.moderationReason}` : ''}
+                    </p>
+                  )}
                   <div className="flex items-start justify-between mb-2">
                     <div>
                       <p className="font-semibold text-white">{feedback.studentName}</p>
@@ -531,6 +869,15 @@ function SessionDetailPage({ currentUser }) {
                   {feedback.comment && (
                     <p className="text-gray-400 text-sm italic">"{feedback.comment}"</p>
                   )}
+                  {canModerate && (
+                    <button
+                      onClick={() => handleModerateFeedback(feedback)}
+                      className="mt-3 flex items-center gap-1 text-xs text-gray-400 hover:text-white transition-colors"
+                    >
+                      {feedback.hidden ? <Eye size={14} /> : <EyeOff size={14} />}
+                      {feedback.hidden ? 'Restore' : 'Hide'}
+                    </button>
+                  )}
                 </motion.div>
               ))
             ) : (
@@ -559,7 +906,7 @@ function SessionDetailPage({ currentUser }) {
                 <div className="w-10 h-10 rounded-full bg-gradient-to-br from-purple-400 to-pink-600 flex items-center justify-center text-white font-bold">
                   {attendee.name.charAt(0).toUpperCase()}
                 </div>
-                <div>
+                <div className="flex-1 min-w-0">
                   <p className="font-semibold text-white">
                     {attendee.name}
                   </p>
@@ -567,6 +914,15 @@ function SessionDetailPage({ currentUser }) {
                     <p className="text-gray-400 text-xs">Joined {new Date(attendee.joinedAt).toLocaleDateString()}</p>
                   )}
                 </div>
+                {canManage && session.status === 'scheduled' && attendee.userId !== currentUser?.userId && (
+                  <button
+                    onClick={() => handleRemoveAttendee(attendee)}
+                    className="p-2 text-gray-400 hover:text-red-300 transition-colors"
+                    title="Remove from session"
+                  >
+                    <UserMinus size={18} />
+                  </button>
+                )}
               </motion.div>
             ))}
           </div>
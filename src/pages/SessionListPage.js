@@ -6,37 +6,48 @@
 import React, { useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { Search, Filter, MapPin, Users, Calendar } from 'lucide-react';
-import { sessionDB } from '../db/database';
+import { sessionDB, roomDB, onDataChange } from '../db/database';
+import { isOffline } from '../services/api';
 import SessionCard from '../components/SessionCard';
+import OfflineState from '../components/OfflineState';
 
 function SessionListPage({ currentUser }) {
   const [sessions, setSessions] = useState([]);
   const [filteredSessions, setFilteredSessions] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [offline, setOffline] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
+  const [rooms, setRooms] = useState([]);
   const [filters, setFilters] = useState({
     skillLevel: '',
     topic: '',
+    roomId: '',
     location: '',
     status: 'scheduled'
   });
 
   useEffect(() => {
     loadSessions();
+    roomDB.getRooms()
+      .then(setRooms)
+      .catch(error => console.warn('Could not load rooms:', error));
+    // Pick up newer sessions brought in by a background refresh
+    return onDataChange('sessions', () => loadSessions(false));
   }, []);
 
   useEffect(() => {
     applyFilters();
   }, [sessions, filters, searchTerm]);
 
-  const loadSessions = async () => {
-    setLoading(true);
+  const loadSessions = async (showSpinner = true) => {
+    if (showSpinner) setLoading(true);
     try {
       const allSessions = await sessionDB.getAllSessions();
       setSessions(allSessions.sort((a, b) => new Date(b.dateTime) - new Date(a.dateTime)));
     } catch (error) {
       console.error('Error loading sessions:', error);
     }
+    setOffline(isOffline());
     setLoading(false);
   };
 
@@ -62,7 +73,12 @@ function SessionListPage({ currentUser }) {
       filtered = filtered.filter(s => s.topic.toLowerCase().includes(filters.topic.toLowerCase()));
     }
 
-    // Location filter
+    // Room filter
+    if (filters.roomId) {
+      filtered = filtered.filter(s => s.roomId === filters.roomId);
+    }
+
+    // Location filter (free text, when no room list is available)
     if (filters.location) {
       filtered = filtered.filter(s => s.location.toLowerCase().includes(filters.location.toLowerCase()));
     }
@@ -138,14 +154,27 @@ function SessionListPage({ currentUser }) {
               className="glass rounded-lg px-4 py-2 text-white placeholder-gray-500 border border-purple-500/20 outline-none focus:bg-purple-500/10 transition-all"
             />
 
-            {/* Location Filter */}
-            <input
-              type="text"
-              placeholder="Filter by location..."
-              value={filters.location}
-              onChange={(e) => setFilters({ ...filters, location: e.target.value })}
-              className="glass rounded-lg px-4 py-2 text-white placeholder-gray-500 border border-purple-500/20 outline-none focus:bg-purple-500/10 transition-all"
-            />
+            {/* Room Filter */}
+            {rooms.length > 0 ? (
+              <select
+                value={filters.roomId}
+                onChange={(e) => setFilters({ ...filters, roomId: e.target.value })}
+                className="glass rounded-lg px-4 py-2 text-white border border-purple-500/20 outline-none cursor-pointer hover:bg-purple-500/10 transition-all"
+              >
+                <option value="">All Rooms</option>
+                {rooms.map(room => (
+                  <option key={room.roomId} value={room.roomId}>{room.name}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="text"
+                placeholder="Filter by location..."
+                value={filters.location}
+                onChange={(e) => setFilters({ ...filters, location: e.target.value })}
+                className="glass rounded-lg px-4 py-2 text-white placeholder-gray-500 border border-purple-500/20 outline-none focus:bg-purple-500/10 transition-all"
+              />
+            )}
 
             {/* Status Filter */}
             <select
@@ -193,6 +222,8 @@ function SessionListPage({ currentUser }) {
                 </motion.div>
               ))}
             </motion.div>
+          ) : offline && sessions.length === 0 ? (
+            <OfflineState what="the session list" onRetry={() => loadSessions()} />
           ) : (
             <motion.div
               className="text-center py-16"
@@ -8,6 +8,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { UserPlus, User, Mail, Lock, AlertCircle, CheckCircle } from 'lucide-react';
 import { userAPI } from '../services/api';
+import { validateEmail, normalizeEmail } from '../utils/emailValidation';
 
 function SignupPage({ onLogin }) {
   const navigate = useNavigate();
@@ -18,6 +19,7 @@ function SignupPage({ onLogin }) {
     confirmPassword: ''
   });
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
 
   const handleChange = (e) => {
@@ -25,31 +27,34 @@ function SignupPage({ onLogin }) {
       ...formData,
       [e.target.name]: e.target.value
     });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: '' });
     setError('');
   };
 
+  // Check the address as soon as the user leaves the field
+  const handleEmailBlur = () => {
+    if (formData.email.trim()) {
+      setFieldErrors({ ...fieldErrors, email: validateEmail(formData.email) });
+    }
+  };
+
   const validateForm = () => {
+    const errors = {};
     if (!formData.name.trim()) {
-      setError('Name is required');
-      return false;
+      errors.name = 'Name is required';
     }
-    if (!formData.email.trim()) {
-      setError('Email is required');
-      return false;
-    }
-    if (!formData.email.includes('@')) {
-      setError('Please enter a valid email');
-      return false;
+    const emailError = validateEmail(formData.email);
+    if (emailError) {
+      errors.email = emailError;
     }
     if (formData.password.length < 6) {
-      setError('Password must be at least 6 characters');
-      return false;
+      errors.password = 'Password must be at least 6 characters';
     }
     if (formData.password !== formData.confirmPassword) {
-      setError('Passwords do not match');
-      return false;
+      errors.confirmPassword = 'Passwords do not match';
     }
-    return true;
+    setFieldErrors(errors);
+    return Object.keys(errors).length === 0;
   };
 
   const handleSubmit = async (e) => {
@@ -63,24 +68,12 @@ function SignupPage({ onLogin }) {
     setError('');
 
     try {
-      // Check if user already exists
-      const existingUsers = await userAPI.getAllUsers();
-      const userExists = existingUsers.some(u => 
-        u.email?.toLowerCase() === formData.email.toLowerCase()
-      );
-
-      if (userExists) {
-        setError('Email already registered. Please login instead.');
-        setLoading(false);
-        return;
-      }
-
-      // Create new user
+      // Create new user - the server rejects the email if it is already registered
       const userId = `user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
       const user = {
         userId,
         name: formData.name.trim(),
-        email: formData.email.toLowerCase().trim(),
+        email: normalizeEmail(formData.email),
         totalPoints: 0,
         sessionsCreated: 0,
         sessionsAttended: 0,
@@ -89,20 +82,41 @@ function SignupPage({ onLogin }) {
         profilePicture: `https://i.pravatar.cc/150?u=${userId}`
       };
 
-      await userAPI.upsertUser(user);
-      localStorage.setItem('userId', userId);
-      
+      // The password goes to the server only, which stores a hash of it
+      const registered = await userAPI.register({ ...user, password: formData.password });
+      const newUser = registered && registered.userId ? registered : user;
       // Log user in
-      onLogin(user);
+      await onLogin(newUser);
       navigate('/');
     } catch (err) {
       console.error('Signup error:', err);
-      setError('Registration failed. Please try again.');
+      if (err.code === 'EMAIL_TAKEN') {
+        setFieldErrors({ email: 'This email is already registered. Please sign in instead.' });
+      } else if (err.code === 'VALIDATION_ERROR' && err.details && typeof err.details === 'object') {
+        // Server-side field messages, e.g. { email: 'Domain not allowed' }
+        setFieldErrors(err.details);
+        setError(err.message);
+      } else if (err.offline) {
+        setError('You need to be online to create an account.');
+      } else {
+        setError('Registration failed. Please try again.');
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const inputClass = (field) =>
+    `w-full pl-11 pr-4 py-3 bg-slate-800/50 border rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 transition-all ${
+      fieldErrors[field]
+        ? 'border-red-500/60 focus:border-red-500 focus:ring-red-500/20'
+        : 'border-purple-500/30 focus:border-purple-500 focus:ring-purple-500/20'
+    }`;
+
+  const renderFieldError = (field) => fieldErrors[field] && (
+    <p id={`${field}-error`} className="mt-2 text-xs text-red-400">{fieldErrors[field]}</p>
+  );
+
   return (
     <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <motion.div
@@ -137,7 +151,7 @@ function SignupPage({ onLogin }) {
             </motion.div>
           )}
 
-          <form onSubmit={handleSubmit} className="space-y-5">
+          <form onSubmit={handleSubmit} className="space-y-5" noValidate>
             {/* Name Input */}
             <div>
               <label htmlFor="name" className="block text-sm font-medium text-gray-300 mb-2">
@@ -152,10 +166,13 @@ function SignupPage({ onLogin }) {
                   required
                   value={formData.name}
                   onChange={handleChange}
-                  className="w-full pl-11 pr-4 py-3 bg-slate-800/50 border border-purple-500/30 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 transition-all"
+                  className={inputClass('name')}
+                  aria-invalid={Boolean(fieldErrors.name)}
+                  aria-describedby={fieldErrors.name ? 'name-error' : undefined}
                   placeholder="Enter your full name"
                 />
               </div>
+              {renderFieldError('name')}
             </div>
 
             {/* Email Input */}
@@ -172,10 +189,14 @@ function SignupPage({ onLogin }) {
                   required
                   value={formData.email}
                   onChange={handleChange}
-                  className="w-full pl-11 pr-4 py-3 bg-slate-800/50 border border-purple-500/30 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 transition-all"
+                  onBlur={handleEmailBlur}
+                  className={inputClass('email')}
+                  aria-invalid={Boolean(fieldErrors.email)}
+                  aria-describedby={fieldErrors.email ? 'email-error' : undefined}
                   placeholder="your@email.com"
                 />
               </div>
+              {renderFieldError('email')}
             </div>
 
             {/* Password Input */}
@@ -192,10 +213,13 @@ function SignupPage({ onLogin }) {
                   required
                   value={formData.password}
                   onChange={handleChange}
-                  className="w-full pl-11 pr-4 py-3 bg-slate-800/50 border border-purple-500/30 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 transition-all"
+                  className={inputClass('password')}
+                  aria-invalid={Boolean(fieldErrors.password)}
+                  aria-describedby={fieldErrors.password ? 'password-error' : undefined}
                   placeholder="At least 6 characters"
                 />
               </div>
+              {renderFieldError('password')}
             </div>
 
             {/* Confirm Password Input */}
@@ -212,10 +236,13 @@ function SignupPage({ onLogin }) {
                   required
                   value={formData.confirmPassword}
                   onChange={handleChange}
-                  className="w-full pl-11 pr-4 py-3 bg-slate-800/50 border border-purple-500/30 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-purple-500 focus:ring-2 focus:ring-purple-500/20 transition-all"
+                  className={inputClass('confirmPassword')}
+                  aria-invalid={Boolean(fieldErrors.confirmPassword)}
+                  aria-describedby={fieldErrors.confirmPassword ? 'confirmPassword-error' : undefined}
                   placeholder="Re-enter your password"
                 />
               </div>
+              {renderFieldError('confirmPassword')}
             </div>
 
             {/* Sign Up Button */}
@@ -0,0 +1,262 @@
+/**
+ * Sync Center Page
+ * Shows what is waiting to sync, what failed and why, and how much
+ * storage the offline data uses
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { RefreshCw, Trash2, AlertCircle, Clock, CheckCircle, Database } from 'lucide-react';
+import { syncQueueDB, onDataChange } from '../db/database';
+import offlineUtils from '../utils/offlineUtils';
+import syncManager from '../utils/syncManager';
+
+const GROUP_LABELS = {
+  session: 'Sessions',
+  attendee: 'Attendance',
+  waitlist: 'Waitlist',
+  feedback: 'Feedback',
+  user: 'Profile',
+  points: 'Points'
+};
+
+const STATUS_STYLES = {
+  pending: 'text-yellow-400 bg-yellow-500/10 border-yellow-500/30',
+  syncing: 'text-blue-400 bg-blue-500/10 border-blue-500/30',
+  failed: 'text-red-400 bg-red-500/10 border-red-500/30',
+  conflict: 'text-orange-400 bg-orange-500/10 border-orange-500/30'
+};
+
+// Short human description of a queued change
+const describeItem = (item) => {
+  const data = item.data || {};
+  switch (`${item.dataType}:${item.action}`) {
+    case 'session:create':
+      return `Create "${data.title || 'session'}"`;
+    case 'session:update':
+      return `Edit session (${Object.keys(data.changes || {}).join(', ') || 'no fields'})`;
+    case 'attendee:join':
+      return 'Join a session';
+    case 'attendee:leave':
+      return data.userId === item.userId ? 'Leave a session' : 'Remove an attendee';
+    case 'attendee:checkin':
+      return 'Check in to a session';
+    case 'attendee:mark':
+      return `Mark attendance (${data.status || 'unmarked'})`;
+    case 'waitlist:leave':
+      return 'Leave a waitlist';
+    case 'feedback:create':
+      return `Rate a session ${data.rating ? `${data.rating}★` : ''}`.trim();
+    case 'user:update':
+      return `Update profile (${Object.keys(data.changes || {}).join(', ') || 'no fields'})`;
+    case 'points:add':
+      return `Add ${data.points || 0} points`;
+    default:
+      return `${item.dataType} ${item.action}`;
+  }
+};
+
+function SyncCenterPage({ currentUser }) {
+  const [stats, setStats] = useState(null);
+  const [storage, setStorage] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+  const [busyItem, setBusyItem] = useState(null);
+
+  const loadStats = useCallback(async () => {
+    setStats(await offlineUtils.getSyncStats());
+  }, []);
+
+  useEffect(() => {
+    loadStats();
+    offlineUtils.checkStorage().then(setStorage);
+    return onDataChange('syncQueue', loadStats);
+  }, [loadStats]);
+
+  const handleSyncNow = async () => {
+    setSyncing(true);
+    const result = await syncManager.syncData(currentUser.userId);
+    if (!result.success && result.message) {
+      alert(result.message);
+    }
+    setSyncing(false);
+    loadStats();
+  };
+
+  const handleRetry = async (item) => {
+    setBusyItem(item.id);
+    await syncQueueDB.retryItem(item.id);
+    if (syncManager.isOnline()) {
+      await syncManager.syncData(currentUser.userId);
+    }
+    setBusyItem(null);
+  };
+
+  const handleDiscard = async (item) => {
+    const confirmed = window.confirm(
+      `Discard "${describeItem(item)}"? This change will not be sent to the server.`
+    );
+    if (!confirmed) return;
+
+    setBusyItem(item.id);
+    try {
+      await syncQueueDB.discardItem(item.id);
+    } catch (error) {
+      console.error('Error discarding sync item:', error);
+      alert('Failed to discard change. Please try again.');
+    }
+    setBusyItem(null);
+  };
+
+  if (!stats) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <motion.div
+          animate={{ rotate: 360 }}
+          transition={{ duration: 2, repeat: Infinity, ease: 'linear' }}
+          className="w-12 h-12 border-4 border-purple-300 border-t-white rounded-full"
+        />
+      </div>
+    );
+  }
+
+  const groups = Object.entries(stats.groups);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="min-h-screen pb-12"
+    >
+      <div className="max-w-4xl mx-auto px-4 pt-8">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-8">
+          <div className="flex items-center gap-3">
+            <RefreshCw className="text-purple-400" size={40} />
+            <h1 className="text-4xl font-bold text-white">Sync Center</h1>
+          </div>
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={handleSyncNow}
+            disabled={syncing || stats.unsynced === 0}
+            className="flex items-center justify-center gap-2 bg-gradient-to-r from-purple-500 to-pink-600 text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+          >
+            <RefreshCw size={18} className={syncing ? 'animate-spin' : ''} />
+            {syncing ? 'Syncing...' : 'Sync Now'}
+          </motion.button>
+        </div>
+
+        {/* Overview */}
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-8">
+          <div className="glass rounded-xl p-6 border border-purple-500/20">
+            <p className="flex items-center gap-2 text-gray-400 text-sm mb-2">
+              <Clock size={16} />
+              Last successful sync
+            </p>
+            <p className="text-white font-semibold">
+              {stats.lastSyncAt ? new Date(stats.lastSyncAt).toLocaleString() : 'Never'}
+            </p>
+          </div>
+          <div className="glass rounded-xl p-6 border border-purple-500/20">
+            <p className="flex items-center gap-2 text-gray-400 text-sm mb-2">
+              <AlertCircle size={16} />
+              Waiting to sync
+            </p>
+            <p className="text-white font-semibold">
+              {stats.unsynced} change{stats.unsynced === 1 ? '' : 's'}
+              {stats.failed > 0 && <span className="text-red-400"> ({stats.failed} failed)</span>}
+            </p>
+          </div>
+          <div className="glass rounded-xl p-6 border border-purple-500/20">
+            <p className="flex items-center gap-2 text-gray-400 text-sm mb-2">
+              <Database size={16} />
+              Storage used
+            </p>
+            {storage ? (
+              <>
+                <p className="text-white font-semibold">
+                  {offlineUtils.formatStorageSize(storage.usage)} of {offlineUtils.formatStorageSize(storage.quota)}
+                </p>
+                <div className="w-full h-2 bg-slate-700 rounded-full mt-2 overflow-hidden">
+                  <div
+                    className="h-full bg-gradient-to-r from-purple-500 to-pink-600"
+                    style={{ width: `${Math.min(storage.percentage, 100)}%` }}
+                  />
+                </div>
+              </>
+            ) : (
+              <p className="text-gray-500">Not available in this browser</p>
+            )}
+          </div>
+        </div>
+
+        {/* Queued changes */}
+        {groups.length > 0 ? (
+          <div className="space-y-6">
+            {groups.map(([dataType, items]) => (
+              <div key={dataType} className="glass rounded-2xl p-6 border border-purple-500/20">
+                <h2 className="text-xl font-bold text-white mb-4">
+                  {GROUP_LABELS[dataType] || dataType}
+                  <span className="text-gray-500 text-sm font-normal ml-2">{items.length}</span>
+                </h2>
+                <div className="space-y-3">
+                  {items.map(item => (
+                    <div
+                      key={item.id}
+                      className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 rounded-lg bg-slate-800/40 border border-purple-500/10"
+                    >
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2 mb-1">
+                          <span className={`text-xs px-2 py-0.5 rounded-full border ${STATUS_STYLES[item.status] || ''}`}>
+                            {item.status}
+                          </span>
+                          <p className="text-white truncate">{describeItem(item)}</p>
+                        </div>
+                        <p className="text-gray-500 text-xs">
+                          Queued {new Date(item.createdAt).toLocaleString()}
+                          {item.attempts > 0 && ` · ${item.attempts} attempt${item.attempts === 1 ? '' : 's'}`}
+                        </p>
+                        {item.lastError && (
+                          <p className="text-red-400 text-sm mt-1 break-words">{item.lastError}</p>
+                        )}
+                      </div>
+                      <div className="flex gap-2 shrink-0">
+                        {item.status !== 'conflict' && (
+                          <button
+                            onClick={() => handleRetry(item)}
+                            disabled={busyItem === item.id}
+                            className="flex items-center gap-1 px-3 py-2 text-sm rounded-lg border border-purple-500/40 text-purple-300 hover:bg-purple-500/10 transition-colors disabled:opacity-50"
+                          >
+                            <RefreshCw size={14} />
+                            Retry
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleDiscard(item)}
+                          disabled={busyItem === item.id}
+                          className="flex items-center gap-1 px-3 py-2 text-sm rounded-lg border border-red-500/40 text-red-300 hover:bg-red-500/10 transition-colors disabled:opacity-50"
+                        >
+                          <Trash2 size={14} />
+                          Discard
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="text-center py-16">
+            <CheckCircle className="w-16 h-16 text-green-500 mx-auto mb-4 opacity-60" />
+            <p className="text-gray-400 text-lg">Everything is synced</p>
+            <p className="text-gray-500 text-sm">Changes you make offline will show up here until they reach the server</p>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+}
+
+export default SyncCenterPage;
@@ -1,93 +1,423 @@
 /**
  * API Service - Frontend HTTP Client
- * Replaces IndexedDB with MongoDB backend calls
+ * Replaces IndexedDB with MongoDB backend calls.
+ * Interceptors on the shared `api` instance add auth headers, refresh expired
+ * tokens, retry failed GETs and turn every failure into an ApiError.
  */
 
 import axios from 'axios';
+import { localStore } from '../db/localStore';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+// Google OAuth routes live next to the API, e.g. http://localhost:5000/auth
+const AUTH_URL = process.env.REACT_APP_AUTH_URL || `${API_URL.replace(/\/api\/?$/, '')}/auth`;
 
 // Create axios instance with default config
-const api = axios.create({
+export const api = axios.create({
   baseURL: API_URL,
   headers: {
     'Content-Type': 'application/json'
   }
 });
 
+// ==================== Auth Tokens ====================
+// Short-lived access token sent on every request; the refresh token is only
+// used to get a new pair when the server answers 401
+
+const ACCESS_TOKEN_KEY = 'accessToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// Fired when the session can't be refreshed and the user has to sign in again
+export const AUTH_EXPIRED_EVENT = 'navpeer:auth-expired';
+
+// ==================== Errors ====================
+
+/**
+ * Uniform error thrown by every API call.
+ * `offline` means the server was never reached; otherwise `status` and `code`
+ * describe what the server answered.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, code = 'UNKNOWN', offline = false, details = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.offline = offline;
+    this.details = details;
+  }
+}
+
+const CODES_BY_STATUS = {
+  400: 'VALIDATION_ERROR',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  422: 'VALIDATION_ERROR',
+  429: 'RATE_LIMITED'
+};
+
+const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  const { response } = error;
+  if (!response || response.data?.offline) {
+    const timedOut = error.code === 'ECONNABORTED';
+    return new ApiError(
+      response?.data?.message || (timedOut ? 'The server took too long to respond' : 'Unable to reach the server'),
+      { status: response?.status || null, code: timedOut ? 'TIMEOUT' : 'OFFLINE', offline: true }
+    );
+  }
+
+  const data = response.data || {};
+  return new ApiError(data.message || data.error || error.message, {
+    status: response.status,
+    code: data.code || CODES_BY_STATUS[response.status] || (response.status >= 500 ? 'SERVER_ERROR' : 'HTTP_ERROR'),
+    details: data.errors || data.details || null
+  });
+};
+
+// Reads that must reach the server: the service worker skips its cache for them
+const FRESH_READ = { headers: { 'Cache-Control': 'no-cache' } };
+
+// Single-record lookups treat "not found" as an answer, not a failure
+const orNullIfMissing = (error) => {
+  if (error.code === 'NOT_FOUND') return null;
+  throw error;
+};
+
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+
+export const setAuthTokens = ({ accessToken, refreshToken } = {}) => {
+  if (accessToken) localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  // The service worker replays the outbox on its own and needs the token too
+  localStore.put('meta', { key: 'auth', value: { accessToken: getAccessToken() } })
+    .catch(error => console.warn('Failed to share auth token with service worker:', error));
+};
+
+export const clearAuthTokens = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStore.remove('meta', 'auth')
+    .catch(error => console.warn('Failed to clear service worker auth token:', error));
+};
+
+// Login and registration answer { user, accessToken, refreshToken }
+const takeAuthResponse = (data) => {
+  if (data?.accessToken) {
+    setAuthTokens(data);
+  }
+  return data?.user || data;
+};
+
+let refreshPromise = null;
+
+// One refresh at a time, shared by every request that hit a 401 meanwhile
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    refreshPromise = axios.post(`${AUTH_URL}/refresh`, { refreshToken }, { withCredentials: true })
+      .then(response => {
+        setAuthTokens(response.data);
+        return response.data.accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Role of the signed-in user, sent so the server can enforce role rules
+// (it still checks the role against the token, never trusts the header alone)
+let currentRole = null;
+
+export const setCurrentRole = (role) => {
+  currentRole = role || null;
+};
+
+api.interceptors.request.use((config) => {
+  const token = getAccessToken();
+  if (token && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  if (currentRole) {
+    config.headers['X-User-Role'] = currentRole;
+  }
+  return config;
+});
+
+// ==================== Connection Status ====================
+// The service worker marks API responses served from its cache (X-SW-Cache) and
+// answers uncached reads while offline with a 503 { offline: true }
+
+export const connectionStatus = {
+  offline: false,
+  servedFromCache: false,
+  cachedAt: null
+};
+
+// Response bodies the service worker answered from its cache
+const workerCachedBodies = new WeakSet();
+
+export const isFromWorkerCache = (data) => Boolean(data && typeof data === 'object' && workerCachedBodies.has(data));
+
+api.interceptors.response.use(
+  (response) => {
+    const cachedAt = Number(response.headers?.['x-sw-cached-at']) || null;
+    connectionStatus.offline = false;
+    connectionStatus.servedFromCache = response.headers?.['x-sw-cache'] === 'hit';
+    connectionStatus.cachedAt = connectionStatus.servedFromCache && cachedAt ? new Date(cachedAt).toISOString() : null;
+    if (connectionStatus.servedFromCache && response.data && typeof response.data === 'object') {
+      workerCachedBodies.add(response.data);
+    }
+    return response;
+  },
+  (error) => {
+    if (!error.response || error.response.data?.offline) {
+      connectionStatus.offline = true;
+    }
+    return Promise.reject(error);
+  }
+);
+
+// True when the browser is offline or the last API call could not reach the server
+export const isOffline = () => !navigator.onLine || connectionStatus.offline;
+
+// Expired access token: refresh once and replay the request
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config;
+    const canRefresh = error.response?.status === 401 &&
+      config && !config._authRetried &&
+      localStorage.getItem(REFRESH_TOKEN_KEY);
+
+    if (!canRefresh) {
+      return Promise.reject(error);
+    }
+
+    try {
+      const accessToken = await refreshAccessToken();
+      config._authRetried = true;
+      config.headers.Authorization = `Bearer ${accessToken}`;
+      return api(config);
+    } catch (refreshError) {
+      // Only a rejected refresh token ends the session; a network blip doesn't
+      if (refreshError.response) {
+        clearAuthTokens();
+        window.dispatchEvent(new CustomEvent(AUTH_EXPIRED_EVENT));
+      }
+      return Promise.reject(error);
+    }
+  }
+);
+
+// Idempotent reads are retried on network errors, timeouts and 5xx/429 answers
+const MAX_GET_RETRIES = 2;
+const GET_RETRY_DELAY = 500;
+
+const isRetryable = (error) => {
+  const config = error.config;
+  if (!config || (config.method || 'get').toLowerCase() !== 'get') return false;
+  if ((config._retryCount || 0) >= MAX_GET_RETRIES) return false;
+  // The browser or service worker already knows we're offline - retrying won't help
+  if (!navigator.onLine || error.response?.data?.offline) return false;
+
+  const status = error.response?.status;
+  return !error.response || status === 429 || status >= 500;
+};
+
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    if (error instanceof ApiError || !isRetryable(error)) {
+      return Promise.reject(error);
+    }
+
+    const config = error.config;
+    config._retryCount = (config._retryCount || 0) + 1;
+    const delay = GET_RETRY_DELAY * Math.pow(2, config._retryCount - 1);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return api(config);
+  }
+);
+
+// Registered last so pages only ever see an ApiError
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const apiError = toApiError(error);
+    if (!(error instanceof ApiError)) {
+      const { method = 'get', url = '' } = error.config || {};
+      console.error(`API ${method.toUpperCase()} ${url} failed [${apiError.code}]:`, apiError.message);
+    }
+    return Promise.reject(apiError);
+  }
+);
+
+// ==================== Auth API ====================
+// Google sign-in happens on the server: the browser is sent to /auth/google
+// and comes back with ?login=success and a session cookie
+
+export const authAPI = {
+  // Where to send the browser to start Google sign-in
+  googleSignInUrl() {
+    return `${AUTH_URL}/google`;
+  },
+
+  // User behind the session cookie (null when there is none). The answer can
+  // carry tokens too, so later calls authenticate like an email login.
+  async getSessionUser() {
+    return api.get(`${AUTH_URL}/user`, { withCredentials: true })
+      .then(response => takeAuthResponse(response.data), (error) => {
+        if (error.code === 'UNAUTHORIZED') return null;
+        return orNullIfMissing(error);
+      });
+  },
+
+  // Revoke this device's session on the server - the Google session cookie
+  // and/or the refresh token, whichever the user signed in with
+  async logout() {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    const response = await api.post(`${AUTH_URL}/logout`, { refreshToken }, { withCredentials: true });
+    return response.data;
+  },
+
+  // Devices signed in to this account:
+  // [{ id, deviceName, userAgent, ip, createdAt, lastActiveAt, current }]
+  async getDevices() {
+    const response = await api.get(`${AUTH_URL}/sessions`, { withCredentials: true });
+    return response.data;
+  },
+
+  // Sign out one other device; its next request gets a 401
+  async revokeDevice(sessionId) {
+    const response = await api.delete(`${AUTH_URL}/sessions/${sessionId}`, { withCredentials: true });
+    return response.data;
+  },
+
+  // Sign out every device except this one
+  async revokeOtherDevices() {
+    const response = await api.post(`${AUTH_URL}/sessions/revoke-others`, {}, { withCredentials: true });
+    return response.data;
+  }
+};
+
 // ==================== User API ====================
 
 export const userAPI = {
   // Get all users
   async getAllUsers() {
-    try {
-      const response = await api.get('/users');
-      return response.data;
-    } catch (error) {
-      console.error('Error getting all users:', error);
-      return [];
-    }
+    const response = await api.get('/users');
+    return response.data;
   },
 
-  // Get user by ID
-  async getUser(userId) {
-    try {
-      const response = await api.get(`/users/${userId}`);
-      return response.data;
-    } catch (error) {
-      console.error('Error getting user:', error);
-      return null;
-    }
+  // Get user by ID (null if it doesn't exist); `fresh` skips the worker's cache
+  async getUser(userId, { fresh = false } = {}) {
+    return api.get(`/users/${userId}`, fresh ? FRESH_READ : undefined)
+      .then(response => response.data, orNullIfMissing);
   },
 
   // Create or update user
   async upsertUser(userData) {
+    const response = await api.post('/users', userData);
+    return response.data;
+  },
+
+  // Register with a password; the server stores only its hash. The server
+  // creates the account only if the email is free (unique index, so two
+  // signups can't both win) and answers 409 EMAIL_TAKEN otherwise.
+  async register(userData) {
     try {
-      const response = await api.post('/users', userData);
-      return response.data;
+      const response = await api.post('/users/register', {
+        ...userData,
+        email: userData.email?.trim().toLowerCase()
+      });
+      return takeAuthResponse(response.data);
     } catch (error) {
-      console.error('Error upserting user:', error);
+      if (error.status === 409 && error.code === 'CONFLICT') {
+        error.code = 'EMAIL_TAKEN';
+      }
       throw error;
     }
   },
 
-  // Login
-  async login(email) {
+  // One-time credential for a guest created before guests had one. The server
+  // answers only while no credential was ever issued for the guest and
+  // `evidence` matches its records (a guest it never received is created);
+  // 409 once the guest has been claimed.
+  async claimGuest(guest, evidence) {
+    const response = await api.post(`/users/${guest.userId}/claim`, { ...guest, evidence });
+    return takeAuthResponse(response.data);
+  },
+
+  // Turn a guest into a full account under the same userId. If the email is
+  // already registered, `merge: true` plus that account's password moves the
+  // guest's history into it instead; the answer then has `merged: true`.
+  // Needs the guest's access token: the server only upgrades the userId the
+  // token was issued for.
+  async upgradeGuest(userId, { name, email, password, merge = false }) {
+    if (!getAccessToken()) {
+      throw new ApiError('This guest session has not been verified with the server', { status: 401, code: 'GUEST_UNVERIFIED' });
+    }
     try {
-      const response = await api.post('/users/login', { email });
-      return response.data;
+      const response = await api.post(`/users/${userId}/upgrade`, {
+        name,
+        email: email?.trim().toLowerCase(),
+        password,
+        merge
+      });
+      return { ...response.data, user: takeAuthResponse(response.data) };
     } catch (error) {
-      console.error('Error logging in:', error);
+      if (error.status === 409 && error.code === 'CONFLICT') {
+        error.code = 'EMAIL_TAKEN';
+      }
       throw error;
     }
   },
 
-  // Update user points
-  async updateUserPoints(userId, points) {
-    try {
-      const response = await api.patch(`/users/${userId}/points`, { points });
-      return response.data.totalPoints;
-    } catch (error) {
-      console.error('Error updating user points:', error);
-    }
+  // Login - the server verifies the password and issues tokens
+  async login(email, password) {
+    const response = await api.post('/users/login', { email, password });
+    return takeAuthResponse(response.data);
+  },
+
+  // Update user points; manual adjustments carry a reason for the audit log
+  async updateUserPoints(userId, points, reason) {
+    const response = await api.patch(`/users/${userId}/points`, reason ? { points, reason } : { points });
+    return response.data.totalPoints;
+  },
+
+  // Deactivate or reactivate an account (coordinators)
+  async setUserActive(userId, active, reason) {
+    const response = await api.patch(`/users/${userId}/status`, { active, reason });
+    return response.data;
   },
 
   // Increment sessions created
   async incrementSessionsCreated(userId) {
-    try {
-      await api.patch(`/users/${userId}/sessions-created`);
-    } catch (error) {
-      console.error('Error incrementing sessions created:', error);
-    }
+    await api.patch(`/users/${userId}/sessions-created`);
   },
 
   // Increment sessions attended
   async incrementSessionsAttended(userId) {
-    try {
-      await api.patch(`/users/${userId}/sessions-attended`);
-    } catch (error) {
-      console.error('Error incrementing sessions attended:', error);
-    }
+    await api.patch(`/users/${userId}/sessions-attended`);
+  },
+
+  // Private feed URL of the sessions the user created or joined, for calendar
+  // apps to subscribe to. The token in it is the only credential, so it can
+  // be replaced.
+  async getCalendarFeed(userId) {
+    const response = await api.get(`/users/${userId}/calendar-feed`);
+    return response.data;
+  },
+
+  async resetCalendarFeed(userId) {
+    const response = await api.post(`/users/${userId}/calendar-feed/reset`);
+    return response.data;
   }
 };
 
@@ -96,91 +426,112 @@ export const userAPI = {
 export const sessionAPI = {
   // Create session
   async createSession(sessionData) {
-    try {
-      console.log('API: Creating session...', sessionData);
-      const response = await api.post('/sessions', sessionData);
-      console.log('API: Session created successfully', response.data);
-      return response.data;
-    } catch (error) {
-      console.error('API: Error creating session:', error);
-      throw error;
-    }
+    console.log('API: Creating session...', sessionData);
+    const response = await api.post('/sessions', sessionData);
+    console.log('API: Session created successfully', response.data);
+    return response.data;
   },
 
   // Get all sessions
   async getAllSessions() {
-    try {
-      const response = await api.get('/sessions');
-      return response.data;
-    } catch (error) {
-      console.error('Error getting all sessions:', error);
-      return [];
-    }
+    const response = await api.get('/sessions');
+    return response.data;
   },
 
-  // Get session by ID
-  async getSession(sessionId) {
-    try {
-      const response = await api.get(`/sessions/${sessionId}`);
-      return response.data;
-    } catch (error) {
-      console.error('Error getting session:', error);
-      return null;
-    }
+  // Every occurrence of a recurring series
+  async getSeriesSessions(seriesId) {
+    const response = await api.get(`/sessions/series/${seriesId}`);
+    return response.data;
+  },
+
+  // Get session by ID (null if it doesn't exist); `fresh` skips the worker's cache
+  async getSession(sessionId, { fresh = false } = {}) {
+    return api.get(`/sessions/${sessionId}`, fresh ? FRESH_READ : undefined)
+      .then(response => response.data, orNullIfMissing);
   },
 
   // Get sessions by creator
   async getSessionsByCreator(creatorId) {
-    try {
-      const response = await api.get(`/sessions/creator/${creatorId}`);
-      return response.data;
-    } catch (error) {
-      console.error('Error getting sessions by creator:', error);
-      return [];
-    }
+    const response = await api.get(`/sessions/creator/${creatorId}`);
+    return response.data;
   },
 
   // Filter sessions
   async filterSessions(filters) {
-    try {
-      const response = await api.post('/sessions/filter', filters);
-      return response.data;
-    } catch (error) {
-      console.error('Error filtering sessions:', error);
-      return [];
-    }
+    const response = await api.post('/sessions/filter', filters);
+    return response.data;
   },
 
-  // Update session status
-  async updateSessionStatus(sessionId, status) {
-    try {
-      const response = await api.patch(`/sessions/${sessionId}/status`, { status });
-      return response.data;
-    } catch (error) {
-      console.error('Error updating session status:', error);
-    }
+  // Edit session fields. The server appends the change to the session's
+  // `history` and notifies every attendee; offline edits reach it via /sync.
+  async updateSession(sessionId, changes) {
+    const response = await api.patch(`/sessions/${sessionId}`, changes);
+    return response.data;
+  },
+
+  // Update session status; cancellations may carry a reason
+  async updateSessionStatus(sessionId, status, reason) {
+    const response = await api.patch(`/sessions/${sessionId}/status`, reason ? { status, reason } : { status });
+    return response.data;
   },
 
   // Add attendee to session
+  // Takes a seat, or a place on the waitlist when the session is full -
+  // the returned session shows which
   async addAttendee(sessionId, userId) {
-    try {
-      const response = await api.post(`/sessions/${sessionId}/attendees`, { userId });
-      return response.data;
-    } catch (error) {
-      console.error('Error adding attendee:', error);
-      throw error;
-    }
+    const response = await api.post(`/sessions/${sessionId}/attendees`, { userId });
+    return response.data;
+  },
+
+  // Leave a session, or remove an attendee (mentor). The server frees the
+  // seat, promotes the first waitlisted user, adjusts both users'
+  // sessionsAttended and notifies whoever was moved.
+  async removeAttendee(sessionId, userId, reason) {
+    const response = await api.delete(`/sessions/${sessionId}/attendees/${userId}`, { data: { reason } });
+    return response.data;
+  },
+
+  // Start check-in: the server creates the secret behind the rotating codes,
+  // keeps it, and answers { checkInSecret } to the session's creator only
+  async openCheckIn(sessionId) {
+    const response = await api.post(`/sessions/${sessionId}/check-in/open`);
+    return response.data;
+  },
+
+  // { checkedIn } - always from the network, never the service worker cache
+  async getCheckIns(sessionId) {
+    const response = await api.get(`/sessions/${sessionId}/check-in`);
+    return response.data;
+  },
+
+  // `at` is when the code was entered; the server checks it against that
+  // time window so check-ins queued offline still verify
+  async checkIn(sessionId, { userId, code, at }) {
+    const response = await api.post(`/sessions/${sessionId}/check-in`, { userId, code, at });
+    return response.data;
+  },
+
+  // Mentor's register entry for one attendee
+  async markAttendance(sessionId, userId, entry) {
+    const response = await api.put(`/sessions/${sessionId}/register/${userId}`, entry);
+    return response.data;
+  },
+
+  async leaveWaitlist(sessionId, userId) {
+    const response = await api.delete(`/sessions/${sessionId}/waitlist/${userId}`);
+    return response.data;
+  },
+
+  // Mentor sets the full waitlist order
+  async reorderWaitlist(sessionId, waitlist) {
+    const response = await api.put(`/sessions/${sessionId}/waitlist`, { waitlist });
+    return response.data;
   },
 
   // Complete session (mark as completed)
   async completeSession(sessionId) {
-    try {
-      const response = await api.patch(`/sessions/${sessionId}/status`, { status: 'completed' });
-      return response.data;
-    } catch (error) {
-      console.error('Error completing session:', error);
-      throw error;
-    }
+    const response = await api.patch(`/sessions/${sessionId}/status`, { status: 'completed' });
+    return response.data;
   }
 };
 
@@ -189,35 +540,32 @@ export const sessionAPI = {
 export const feedbackAPI = {
   // Add feedback
   async addFeedback(feedbackData) {
-    try {
-      const response = await api.post('/feedback', feedbackData);
-      return response.data;
-    } catch (error) {
-      console.error('Error adding feedback:', error);
-      throw error;
-    }
+    const response = await api.post('/feedback', feedbackData);
+    return response.data;
+  },
+
+  // Get all feedback (coordinators)
+  async getAllFeedback() {
+    const response = await api.get('/feedback');
+    return response.data;
+  },
+
+  // Hide or restore a feedback entry (coordinators)
+  async moderateFeedback(feedbackId, { hidden, reason }) {
+    const response = await api.patch(`/feedback/${feedbackId}/moderation`, { hidden, reason });
+    return response.data;
   },
 
   // Get feedback for session
   async getFeedbackForSession(sessionId) {
-    try {
-      const response = await api.get(`/feedback/session/${sessionId}`);
-      return response.data;
-    } catch (error) {
-      console.error('Error getting feedback:', error);
-      return [];
-    }
+    const response = await api.get(`/feedback/session/${sessionId}`);
+    return response.data;
   },
 
   // Get feedback by student
   async getFeedbackByStudent(studentId) {
-    try {
-      const response = await api.get(`/feedback/student/${studentId}`);
-      return response.data;
-    } catch (error) {
-      console.error('Error getting student feedback:', error);
-      return [];
-    }
+    const response = await api.get(`/feedback/student/${studentId}`);
+    return response.data;
   }
 };
 
@@ -226,57 +574,43 @@ export const feedbackAPI = {
 export const certificateAPI = {
   // Create certificate
   async createCertificate(certificateData) {
-    try {
-      const response = await api.post('/certificates', certificateData);
-      return response.data;
-    } catch (error) {
-      console.error('Error creating certificate:', error);
-      throw error;
-    }
+    const response = await api.post('/certificates', certificateData);
+    return response.data;
+  },
+
+  // Get all certificates (coordinators)
+  async getAllCertificates() {
+    const response = await api.get('/certificates');
+    return response.data;
   },
 
   // Get user certificates
   async getUserCertificates(userId) {
-    try {
-      const response = await api.get(`/certificates/user/${userId}`);
-      return response.data;
-    } catch (error) {
-      console.error('Error getting user certificates:', error);
-      return [];
-    }
+    const response = await api.get(`/certificates/user/${userId}`);
+    return response.data;
   },
 
-  // Get certificate by ID
+  // Get certificate by ID (null if it doesn't exist)
   async getCertificate(certificateId) {
-    try {
-      const response = await api.get(`/certificates/${certificateId}`);
-      return response.data;
-    } catch (error) {
-      console.error('Error getting certificate:', error);
-      return null;
-    }
+    return api.get(`/certificates/${certificateId}`).then(response => response.data, orNullIfMissing);
   },
 
   // Get user certificate stats
   async getUserCertificateStats(userId) {
-    try {
-      const response = await api.get(`/certificates/user/${userId}/stats`);
-      return response.data;
-    } catch (error) {
-      console.error('Error getting certificate stats:', error);
-      return { total: 0, byType: {}, averageRating: 0 };
-    }
+    const response = await api.get(`/certificates/user/${userId}/stats`);
+    return response.data;
+  },
+
+  // Revoke a certificate (coordinators) - kept on record but no longer valid
+  async revokeCertificate(certificateId, reason) {
+    const response = await api.patch(`/certificates/${certificateId}/revoke`, { reason });
+    return response.data;
   },
 
   // Delete certificate
   async deleteCertificate(certificateId) {
-    try {
-      const response = await api.delete(`/certificates/${certificateId}`);
-      return response.data;
-    } catch (error) {
-      console.error('Error deleting certificate:', error);
-      throw error;
-    }
+    const response = await api.delete(`/certificates/${certificateId}`);
+    return response.data;
   }
 };
 
@@ -285,67 +619,78 @@ export const certificateAPI = {
 export const badgeAPI = {
   // Create/Award badge
   async addBadge(badgeData) {
-    try {
-      const response = await api.post('/badges', badgeData);
-      return response.data;
-    } catch (error) {
-      console.error('Error adding badge:', error);
-      throw error;
-    }
+    const response = await api.post('/badges', badgeData);
+    return response.data;
   },
 
   // Get user badges
   async getUserBadges(userId) {
-    try {
-      const response = await api.get(`/badges/user/${userId}`);
-      return response.data;
-    } catch (error) {
-      console.error('Error getting user badges:', error);
-      return [];
-    }
+    const response = await api.get(`/badges/user/${userId}`);
+    return response.data;
   },
 
-  // Get badge by ID
+  // Get badge by ID (null if it doesn't exist)
   async getBadge(badgeId) {
-    try {
-      const response = await api.get(`/badges/${badgeId}`);
-      return response.data;
-    } catch (error) {
-      console.error('Error getting badge:', error);
-      return null;
-    }
+    return api.get(`/badges/${badgeId}`).then(response => response.data, orNullIfMissing);
   },
 
   // Get user badge stats
   async getUserBadgeStats(userId) {
-    try {
-      const response = await api.get(`/badges/user/${userId}/stats`);
-      return response.data;
-    } catch (error) {
-      console.error('Error getting badge stats:', error);
-      return { total: 0, byType: {}, recentBadges: [] };
-    }
+    const response = await api.get(`/badges/user/${userId}/stats`);
+    return response.data;
   },
 
   // Delete badge
   async deleteBadge(badgeId) {
-    try {
-      const response = await api.delete(`/badges/${badgeId}`);
-      return response.data;
-    } catch (error) {
-      console.error('Error deleting badge:', error);
-      throw error;
-    }
+    const response = await api.delete(`/badges/${badgeId}`);
+    return response.data;
+  }
+};
+
+// ==================== Notification API ====================
+// In-app notifications created by the server, e.g. a waitlist promotion
+
+export const notificationAPI = {
+  async getUserNotifications(userId) {
+    const response = await api.get(`/users/${userId}/notifications`);
+    return response.data;
+  },
+
+  async markRead(notificationId) {
+    const response = await api.patch(`/notifications/${notificationId}/read`);
+    return response.data;
+  }
+};
+
+// Campus rooms are managed by coordinators; the server rejects a session
+// whose room is already booked for an overlapping time
+export const roomAPI = {
+  async getRooms() {
+    const response = await api.get('/rooms');
+    return response.data;
+  },
+
+  async createRoom(roomData) {
+    const response = await api.post('/rooms', roomData);
+    return response.data;
+  },
+
+  async updateRoom(roomId, changes) {
+    const response = await api.patch(`/rooms/${roomId}`, changes);
+    return response.data;
   }
 };
 
 // Export default API object
 const apiService = {
+  auth: authAPI,
   user: userAPI,
   session: sessionAPI,
   feedback: feedbackAPI,
   certificate: certificateAPI,
-  badge: badgeAPI
+  badge: badgeAPI,
+  notification: notificationAPI,
+  room: roomAPI
 };
 
 export default apiService;
@@ -0,0 +1,169 @@
+/**
+ * Auth Service
+ * Owns sign-in state for both Google and email accounts: the Google redirect
+ * and callback, restoring the session on load, refreshing it and logging out.
+ * Only the userId is kept in localStorage; the user record lives in IndexedDB.
+ */
+
+import { authAPI, clearAuthTokens } from './api';
+import { userDB, metaDB } from '../db/database';
+import offlineUtils from '../utils/offlineUtils';
+
+const USER_ID_KEY = 'userId';
+// Older builds cached the whole user here; read once, then removed
+const LEGACY_USER_KEY = 'currentUser';
+// Page to come back to after the Google round trip
+const RETURN_TO_KEY = 'authReturnTo';
+
+const GOOGLE_PHOTO_HOST = 'https://lh3.googleusercontent.com';
+
+export const AVATAR_PLACEHOLDER = 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="150" height="150"><rect width="100%" height="100%" fill="%23374151"/><text x="50%" y="50%" fill="%239CA3AF" font-size="36" text-anchor="middle" dominant-baseline="middle">?</text></svg>';
+
+export const isGoogleAccount = (user) => user?.authProvider === 'google';
+
+// Google photo URLs need a size token, otherwise they serve a tiny image
+export const getAvatarUrl = (user, size = 96) => {
+  if (!user) return '';
+  const url = user.profilePicture || user.photoURL || '';
+  if (isGoogleAccount(user)) {
+    if (url.startsWith(GOOGLE_PHOTO_HOST) && !url.includes('=')) return `${url}=s${size}-c`;
+    return url || AVATAR_PLACEHOLDER;
+  }
+  return url || `https://i.pravatar.cc/150?u=${user.userId || user.email}`;
+};
+
+// onError handler for avatar <img> tags - falls back once, never loops
+export const handleAvatarError = (user) => (e) => {
+  e.currentTarget.onerror = null;
+  e.currentTarget.src = isGoogleAccount(user)
+    ? AVATAR_PLACEHOLDER
+    : `https://i.pravatar.cc/150?u=${user?.userId}`;
+};
+
+const isUser = (user) => Boolean(user && user.userId && !user.message);
+
+// The service worker replays the outbox with no page open, and only sends
+// changes queued by the user signed in here
+const rememberUserId = (userId) => {
+  localStorage.setItem(USER_ID_KEY, userId);
+  metaDB.set('session', { userId })
+    .catch(error => console.warn('Auth: failed to share signed-in user with service worker', error));
+};
+
+const forgetUserId = () => {
+  localStorage.removeItem(USER_ID_KEY);
+  metaDB.remove('session')
+    .catch(error => console.warn('Auth: failed to clear signed-in user for service worker', error));
+};
+
+const readLegacyUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LEGACY_USER_KEY));
+  } catch (error) {
+    console.warn('Auth: ignoring unreadable cached user', error);
+    return null;
+  } finally {
+    localStorage.removeItem(LEGACY_USER_KEY);
+  }
+};
+
+export const authService = {
+  // Send the browser to Google; the server redirects back with ?login=success
+  signInWithGoogle(returnTo = '/') {
+    sessionStorage.setItem(RETURN_TO_KEY, returnTo);
+    window.location.assign(authAPI.googleSignInUrl());
+  },
+
+  // Remember a signed-in user on this device
+  async completeLogin(user) {
+    await userDB.cacheUser(user);
+    rememberUserId(user.userId);
+    return user;
+  },
+
+  // Finish the Google round trip if the URL says we just came back from it.
+  // Runs before the router mounts, so rewriting the URL here is enough to land
+  // on the page the user started from. Returns the signed-in user or null.
+  async handleOAuthCallback() {
+    const params = new URLSearchParams(window.location.search);
+    const result = params.get('login');
+    if (!result) return null;
+
+    const returnTo = sessionStorage.getItem(RETURN_TO_KEY) || '/';
+    sessionStorage.removeItem(RETURN_TO_KEY);
+
+    const user = result === 'success' ? await authAPI.getSessionUser() : null;
+    if (!isUser(user)) {
+      console.warn('Auth: Google sign-in failed:', params.get('error') || result);
+      window.history.replaceState({}, document.title, '/login');
+      return null;
+    }
+    window.history.replaceState({}, document.title, returnTo);
+    return this.completeLogin(user);
+  },
+
+  // User signed in on this device, from the local cache first so it works offline
+  async restoreSession() {
+    const googleUser = await this.handleOAuthCallback().catch(error => {
+      console.error('Auth: Google callback failed:', error);
+      return null;
+    });
+    if (googleUser) return googleUser;
+
+    const legacyUser = readLegacyUser();
+    const userId = localStorage.getItem(USER_ID_KEY) || legacyUser?.userId;
+    if (!userId) return null;
+
+    let user = null;
+    try {
+      user = await userDB.getUser(userId);
+    } catch (error) {
+      console.warn('Auth: could not load user', error);
+    }
+    if (!isUser(user) && isUser(legacyUser)) {
+      // Not in IndexedDB yet - move the old localStorage copy there
+      return this.completeLogin(legacyUser);
+    }
+    if (!isUser(user)) {
+      forgetUserId();
+      return null;
+    }
+    rememberUserId(user.userId);
+    return user;
+  },
+
+  // Re-check the server session. Google accounts depend on the session cookie
+  // (and pick up a changed Google photo here); email accounts refresh their
+  // tokens on demand in the API client, so their cached record is kept.
+  // Returns the fresh user, the same user if the server can't be reached,
+  // or null if the session has ended.
+  async refreshSession(user) {
+    if (!isGoogleAccount(user) || !navigator.onLine) return user;
+    try {
+      const serverUser = await authAPI.getSessionUser();
+      if (!isUser(serverUser)) return null;
+      return this.completeLogin(serverUser);
+    } catch (error) {
+      console.warn('Auth: session refresh failed', error);
+      return user;
+    }
+  },
+
+  // Revoke the server session, then forget everything this device cached for
+  // the user - records, queued changes, API responses and tokens - so the next
+  // person on this browser starts clean. `revoke: false` skips the server call
+  // when the server has already ended the session.
+  async logout({ revoke = true } = {}) {
+    if (revoke && navigator.onLine) {
+      await authAPI.logout().catch(error => console.warn('Auth: server logout failed', error));
+    }
+    clearAuthTokens();
+    const cleared = await offlineUtils.clearAllData();
+    if (!cleared) {
+      forgetUserId();
+      localStorage.removeItem(LEGACY_USER_KEY);
+    }
+  }
+};
+
+export default authService;
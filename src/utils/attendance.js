@@ -0,0 +1,77 @@
+/**
+ * Attendance
+ * Who was actually at a session. The mentor's register (`session.register`,
+ * keyed by userId) has the final word; attendees without a register entry
+ * count as present once they have checked in.
+ */
+
+import { isCheckedIn } from './checkIn';
+
+export const ATTENDANCE_STATES = {
+  present: 'Present',
+  late: 'Late',
+  absent: 'Absent'
+};
+
+// States that count towards points, certificates and reports
+const ATTENDED_STATES = ['present', 'late'];
+
+// 'present', 'late', 'absent', or null when not recorded yet
+export const getAttendanceStatus = (session, userId) => {
+  const entry = session?.register?.[userId];
+  if (entry?.status) return entry.status;
+  return isCheckedIn(session, userId) ? 'present' : null;
+};
+
+export const getAttendanceNote = (session, userId) => session?.register?.[userId]?.note || '';
+
+export const getAttendanceCount = (session) =>
+  (session?.attendees || []).filter(userId => ATTENDED_STATES.includes(getAttendanceStatus(session, userId))).length;
+
+// One row per attendee ({ userId, name }) for the register view, PDF and CSV
+export const getAttendanceRows = (session, attendees) =>
+  attendees.map(attendee => ({
+    userId: attendee.userId,
+    name: attendee.name,
+    status: getAttendanceStatus(session, attendee.userId),
+    checkedIn: isCheckedIn(session, attendee.userId),
+    note: getAttendanceNote(session, attendee.userId)
+  }));
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toAttendanceCsv = (rows) => [
+  ['Name', 'User ID', 'Status', 'Checked In', 'Note'],
+  ...rows.map(row => [
+    row.name,
+    row.userId,
+    ATTENDANCE_STATES[row.status] || 'Not marked',
+    row.checkedIn ? 'Yes' : 'No',
+    row.note
+  ])
+].map(cells => cells.map(csvCell).join(',')).join('\n');
+
+export const downloadAttendanceCsv = (session, rows) => {
+  const blob = new Blob([toAttendanceCsv(rows)], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `attendance-${session.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${session.dateTime.slice(0, 10)}.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+const attendanceUtils = {
+  ATTENDANCE_STATES,
+  getAttendanceStatus,
+  getAttendanceNote,
+  getAttendanceCount,
+  getAttendanceRows,
+  toAttendanceCsv,
+  downloadAttendanceCsv
+};
+
+export default attendanceUtils;
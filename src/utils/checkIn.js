@@ -0,0 +1,51 @@
+/**
+ * Check-in
+ * Rotating check-in codes for ongoing sessions. The mentor's device derives
+ * the current code from the session's check-in secret (an HMAC of the time
+ * window), so it works offline once check-in has started. The server creates
+ * the secret and only gives it to the session's creator, whose device keeps
+ * it; it verifies attendees' codes against the window they were entered in,
+ * which lets offline check-ins be replayed later.
+ */
+
+export const CODE_WINDOW_SECONDS = 60;
+const CODE_LENGTH = 6;
+
+const codeWindow = (at) => Math.floor(at / (CODE_WINDOW_SECONDS * 1000));
+
+export const secondsUntilNextCode = (at = Date.now()) =>
+  CODE_WINDOW_SECONDS - Math.floor((at / 1000) % CODE_WINDOW_SECONDS);
+
+// The 6-digit code valid at `at`
+export const getCheckInCode = async (secret, at = Date.now()) => {
+  const encoder = new TextEncoder();
+  const key = await window.crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = new DataView(
+    await window.crypto.subtle.sign('HMAC', key, encoder.encode(String(codeWindow(at))))
+  );
+  return String(signature.getUint32(0) % 10 ** CODE_LENGTH).padStart(CODE_LENGTH, '0');
+};
+
+export const normalizeCode = (code) => String(code || '').replace(/\D/g, '').slice(0, CODE_LENGTH);
+
+export const isValidCodeFormat = (code) => normalizeCode(code).length === CODE_LENGTH;
+
+// Link encoded in the QR code; opens the session with the code filled in
+export const getCheckInUrl = (sessionId, code) =>
+  `${window.location.origin}/sessions/${sessionId}?checkin=${code}`;
+
+export const isCheckedIn = (session, userId) => (session?.checkedIn || []).includes(userId);
+
+const checkInUtils = {
+  CODE_WINDOW_SECONDS,
+  secondsUntilNextCode,
+  getCheckInCode,
+  normalizeCode,
+  isValidCodeFormat,
+  getCheckInUrl,
+  isCheckedIn
+};
+
+export default checkInUtils;
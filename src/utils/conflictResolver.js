@@ -0,0 +1,125 @@
+/**
+ * Conflict Resolution for offline edits
+ *
+ * Queued edits carry the values they were based on (`base`) and the server
+ * version they started from (`baseVersion`). On replay each changed field is
+ * compared three ways - base, local change, current server value - and only
+ * fields changed on both sides are conflicts. Those follow a per-type policy:
+ * - server-wins: keep the server value (session status, counters)
+ * - merge: combine both sides' additions and removals (attendee lists)
+ * - prompt: ask the user which version to keep (text fields)
+ */
+
+export const CONFLICT_POLICIES = {
+  session: {
+    status: 'server-wins',
+    attendees: 'merge',
+    waitlist: 'server-wins',
+    checkedIn: 'server-wins',
+    checkInSecret: 'server-wins',
+    register: 'server-wins',
+    default: 'prompt'
+  },
+  user: {
+    totalPoints: 'server-wins',
+    sessionsCreated: 'server-wins',
+    sessionsAttended: 'server-wins',
+    default: 'prompt'
+  }
+};
+
+// Human-readable labels for the conflict prompt
+export const FIELD_LABELS = {
+  title: 'Title',
+  topic: 'Topic',
+  description: 'Description',
+  roomId: 'Room',
+  location: 'Location',
+  prerequisites: 'Prerequisites',
+  dateTime: 'Date & Time',
+  duration: 'Duration (minutes)',
+  maxSeats: 'Maximum Seats',
+  skillLevel: 'Skill Level',
+  status: 'Status',
+  cancellationReason: 'Cancellation Reason',
+  name: 'Name'
+};
+
+// Servers may expose an explicit version counter or only a timestamp
+export const getVersion = (record) => {
+  if (!record) return null;
+  return record.version ?? record.updatedAt ?? null;
+};
+
+export const getPolicy = (dataType, field) => {
+  const policies = CONFLICT_POLICIES[dataType] || {};
+  return policies[field] || policies.default || 'prompt';
+};
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Three-way merge of id lists: server list plus our additions minus our removals
+export const mergeLists = (base = [], local = [], remote = []) => {
+  const added = local.filter(id => !base.includes(id));
+  const removed = base.filter(id => !local.includes(id));
+  const merged = remote.filter(id => !removed.includes(id));
+  added.forEach(id => {
+    if (!merged.includes(id)) merged.push(id);
+  });
+  return merged;
+};
+
+/**
+ * Rebase a queued edit onto the current server record.
+ * Returns the changes still worth sending, fields adopted from the server,
+ * and any conflicts that need the user to decide.
+ */
+export const resolveConflicts = (dataType, { changes = {}, base = {} }, serverRecord) => {
+  const resolvedChanges = {};
+  const serverValues = {};
+  const conflicts = [];
+
+  Object.entries(changes).forEach(([field, localValue]) => {
+    const baseValue = base[field];
+    const remoteValue = serverRecord?.[field];
+
+    // Server untouched since we edited, or it already has our value
+    if (isEqual(remoteValue, baseValue)) {
+      resolvedChanges[field] = localValue;
+      return;
+    }
+    if (isEqual(remoteValue, localValue)) {
+      return;
+    }
+
+    switch (getPolicy(dataType, field)) {
+      case 'server-wins':
+        serverValues[field] = remoteValue;
+        break;
+      case 'merge':
+        resolvedChanges[field] = mergeLists(baseValue, localValue, remoteValue);
+        break;
+      default:
+        conflicts.push({ field, base: baseValue, local: localValue, remote: remoteValue });
+    }
+  });
+
+  return {
+    changes: resolvedChanges,
+    serverValues,
+    conflicts,
+    base: Object.fromEntries(Object.keys(changes).map(field => [field, serverRecord?.[field]])),
+    baseVersion: getVersion(serverRecord)
+  };
+};
+
+const conflictResolver = {
+  CONFLICT_POLICIES,
+  FIELD_LABELS,
+  getVersion,
+  getPolicy,
+  mergeLists,
+  resolveConflicts
+};
+
+export default conflictResolver;
@@ -0,0 +1,55 @@
+/**
+ * Email Validation
+ * Client-side format and domain checks for signup. The server repeats
+ * them and is the only authority on whether an address is already taken.
+ */
+
+// local@domain.tld - no spaces, one @, a dotted domain with a 2+ letter TLD
+const EMAIL_PATTERN = /^[^\s@]+@([a-z0-9-]+\.)+[a-z]{2,}$/i;
+
+// Throwaway inbox providers - accounts need an address the user keeps
+const DISPOSABLE_DOMAINS = [
+  'mailinator.com',
+  'guerrillamail.com',
+  '10minutemail.com',
+  'tempmail.com',
+  'temp-mail.org',
+  'yopmail.com',
+  'trashmail.com',
+  'getnada.com'
+];
+
+// Optional comma-separated allow list, e.g. "university.edu,student.university.edu"
+export const ALLOWED_EMAIL_DOMAINS = (process.env.REACT_APP_ALLOWED_EMAIL_DOMAINS || '')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase())
+  .filter(Boolean);
+
+const matchesDomain = (domain, allowed) => domain === allowed || domain.endsWith(`.${allowed}`);
+
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// Returns an error message, or '' when the address is acceptable
+export const validateEmail = (email) => {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return 'Email is required';
+  if (!EMAIL_PATTERN.test(normalized)) return 'Please enter a valid email address';
+
+  const domain = normalized.split('@')[1];
+  if (domain.endsWith('.local')) return 'Please use a real email address';
+  if (DISPOSABLE_DOMAINS.some(blocked => matchesDomain(domain, blocked))) {
+    return 'Disposable email addresses are not allowed';
+  }
+  if (ALLOWED_EMAIL_DOMAINS.length > 0 && !ALLOWED_EMAIL_DOMAINS.some(allowed => matchesDomain(domain, allowed))) {
+    return `Please use your ${ALLOWED_EMAIL_DOMAINS.map(d => `@${d}`).join(' or ')} email`;
+  }
+  return '';
+};
+
+const emailValidation = {
+  ALLOWED_EMAIL_DOMAINS,
+  normalizeEmail,
+  validateEmail
+};
+
+export default emailValidation;
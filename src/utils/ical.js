@@ -0,0 +1,203 @@
+/**
+ * iCalendar
+ * Builds .ics files (RFC 5545) for sessions. The server renders each user's
+ * subscribable feed with the same rules; this covers one-off downloads and
+ * works offline. Every event keeps a stable UID, and SEQUENCE grows with the
+ * session's edit history, so calendars replace a rescheduled or cancelled
+ * event instead of adding a second one.
+ */
+
+import { getEndTime } from './sessionLifecycle';
+import { generateOccurrences, MAX_OCCURRENCES } from './recurrence';
+
+const PRODUCT_ID = '-//NavPeer//Peer Learning Sessions//EN';
+const UID_DOMAIN = 'navpeer';
+const BYDAY = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatUtc = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+  `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// Floating local time: recurring series repeat on local weekdays, which a
+// UTC start could shift across midnight
+const formatLocal = (date) =>
+  `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T` +
+  `${pad(date.getHours())}${pad(date.getMinutes())}00`;
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const MAX_LINE_OCTETS = 75;
+
+const utf8Length = (char) => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  return codePoint < 0x10000 ? 3 : 4;
+};
+
+// Lines longer than 75 octets (UTF-8) continue on the next line after a
+// space; a character is never split across lines
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+const sessionUrl = (session) => `${window.location.origin}/sessions/${session.sessionId}`;
+
+const eventDetails = (session, sequence = (session.history || []).length) => [
+  `SUMMARY:${escapeText(session.title)}`,
+  `DESCRIPTION:${escapeText([
+    session.description,
+    session.creatorName && `Mentor: ${session.creatorName}`,
+    session.cancellationReason && `Cancelled: ${session.cancellationReason}`,
+    sessionUrl(session)
+  ].filter(Boolean).join('\n'))}`,
+  `LOCATION:${escapeText(session.location)}`,
+  `URL:${sessionUrl(session)}`,
+  `STATUS:${session.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+  `SEQUENCE:${sequence}`,
+  `DTSTAMP:${formatUtc(new Date())}`
+];
+
+const singleEvent = (session) => [
+  'BEGIN:VEVENT',
+  `UID:${session.sessionId}@${UID_DOMAIN}`,
+  `DTSTART:${formatUtc(new Date(session.dateTime))}`,
+  `DTEND:${formatUtc(getEndTime(session))}`,
+  ...eventDetails(session),
+  'END:VEVENT'
+];
+
+// `slots` are the occurrences the app created; an "until" series capped at
+// MAX_OCCURRENCES stops early, so the rule has to say COUNT instead
+const toRRule = (rule, slots) => {
+  const parts = [
+    'FREQ=WEEKLY',
+    `INTERVAL=${Math.max(1, parseInt(rule.interval, 10) || 1)}`,
+    `BYDAY=${[...rule.daysOfWeek].sort((a, b) => a - b).map(day => BYDAY[day]).join(',')}`
+  ];
+  // UNTIL takes the same value type as DTSTART, which is floating local time
+  parts.push(rule.until && slots.length < MAX_OCCURRENCES
+    ? `UNTIL=${formatLocal(new Date(`${rule.until}T23:59`))}`
+    : `COUNT=${slots.length}`);
+  return `RRULE:${parts.join(';')}`;
+};
+
+// Where occurrence 1 was first scheduled, before any edits moved it
+const originalStart = (first) => {
+  const moved = (first.history || []).find(entry => entry.changes?.dateTime);
+  return moved ? moved.changes.dateTime.from : first.dateTime;
+};
+
+// A whole series: one recurring event, plus an override per occurrence
+// carrying its current time, details and status
+const seriesEvents = (occurrences) => {
+  const [first] = occurrences;
+  const slots = generateOccurrences(originalStart(first), first.recurrence);
+  const uid = `${first.seriesId}@${UID_DOMAIN}`;
+
+  const master = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTART:${formatLocal(new Date(slots[0]))}`,
+    `DTEND:${formatLocal(getEndTime({ ...first, dateTime: slots[0] }))}`,
+    toRRule(first.recurrence, slots),
+    // The series itself only changes when some occurrence does
+    ...eventDetails({ ...first, status: 'scheduled', cancellationReason: null },
+      Math.max(...occurrences.map(session => (session.history || []).length))),
+    'END:VEVENT'
+  ];
+
+  const overrides = occurrences.flatMap(session => [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `RECURRENCE-ID:${formatLocal(new Date(slots[session.occurrence - 1]))}`,
+    `DTSTART:${formatLocal(new Date(session.dateTime))}`,
+    `DTEND:${formatLocal(getEndTime(session))}`,
+    ...eventDetails(session),
+    'END:VEVENT'
+  ]);
+
+  return [...master, ...overrides];
+};
+
+// Series are written as recurring events only when every occurrence is in
+// the list; otherwise each session is its own event
+export const toICS = (sessions, { calendarName = 'Peer Learning Sessions' } = {}) => {
+  const bySeries = new Map();
+  const standalone = [];
+  sessions.forEach(session => {
+    if (session.seriesId && session.recurrence) {
+      bySeries.set(session.seriesId, [...(bySeries.get(session.seriesId) || []), session]);
+    } else {
+      standalone.push(session);
+    }
+  });
+
+  const events = [];
+  bySeries.forEach(occurrences => {
+    const sorted = [...occurrences].sort((a, b) => a.occurrence - b.occurrence);
+    const slots = generateOccurrences(originalStart(sorted[0]), sorted[0].recurrence);
+    const complete = sorted[0].occurrence === 1 && sorted.length === slots.length;
+    if (complete) {
+      events.push(...seriesEvents(sorted));
+    } else {
+      standalone.push(...sorted);
+    }
+  });
+  standalone.forEach(session => events.push(...singleEvent(session)));
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+export const downloadICS = (sessions, filename, options) => {
+  const blob = new Blob([toICS(sessions, options)], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// "Add to calendar" for a single session
+export const downloadSessionICS = (session) =>
+  downloadICS([session], `${session.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'session'}.ics`, {
+    calendarName: session.title
+  });
+
+const ical = {
+  toICS,
+  downloadICS,
+  downloadSessionICS
+};
+
+export default ical;
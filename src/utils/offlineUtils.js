@@ -3,39 +3,79 @@
  * Additional utilities for offline functionality
  */
 
+const BACKUP_FORMAT = 'navpeer-backup';
+const BACKUP_VERSION = 1;
+
+// Collections included in a backup and the key each record must carry
+const BACKUP_COLLECTIONS = {
+  sessions: 'sessionId',
+  feedback: 'feedbackId',
+  certificates: 'certificateId',
+  badges: 'badgeId',
+  syncQueue: 'id'
+};
+
+const versionTime = (record) => {
+  const version = record?.version ?? record?.updatedAt;
+  if (typeof version === 'number') return version;
+  return version ? new Date(version).getTime() || 0 : 0;
+};
+
+// Merge rule: never replace unsynced local edits or anything newer than the backup
+const shouldKeepExisting = (storeName, existing, incoming) => {
+  if (!existing) return false;
+  if (storeName === 'syncQueue') return true;
+  if (existing._pendingSync) return true;
+  return versionTime(existing) > versionTime(incoming);
+};
+
+// Restored queue items start over so syncManager replays them (items that
+// already reached the server are filtered out before this)
+const toPendingItem = (item) => ({
+  ...item,
+  status: item.status === 'conflict' ? 'conflict' : 'pending',
+  attempts: item.status === 'failed' ? 0 : item.attempts || 0,
+  nextAttemptAt: Date.now(),
+  seq: item.seq ?? Date.now() * 1000
+});
+
 export const offlineUtils = {
-  // Check if data has been synced
+  // Check if a queued change has been synced
   async isDataSynced(dataId) {
     try {
-      // Check if item exists in sync queue as unsynced
-      const { db } = await import('../db/database');
-      const item = await db.syncQueue
-        .where('id').equals(dataId)
-        .filter(i => !i.synced)
-        .first();
-      return !item;
+      const { syncQueueDB } = await import('../db/database');
+      const item = await syncQueueDB.getItem(dataId);
+      return !item || item.status === 'synced';
     } catch (error) {
       console.error('Error checking sync status:', error);
       return false;
     }
   },
 
-  // Get sync statistics
+  // Get sync statistics, with the queued items grouped by data type
   async getSyncStats() {
     try {
-      const { syncQueueDB } = await import('../db/database');
+      const { syncQueueDB, metaDB } = await import('../db/database');
       const unsynced = await syncQueueDB.getUnsynced();
-      
+      const failedItems = unsynced.filter(item => item.status === 'failed');
+
       return {
         unsynced: unsynced.length,
+        failed: failedItems.length,
+        failedItems,
         pendingActions: unsynced.reduce((acc, item) => {
           acc[item.dataType] = (acc[item.dataType] || 0) + 1;
           return acc;
-        }, {})
+        }, {}),
+        groups: unsynced.reduce((acc, item) => {
+          (acc[item.dataType] = acc[item.dataType] || []).push(item);
+          return acc;
+        }, {}),
+        lastSyncAt: (await metaDB.get('lastSyncAt')) || null
       };
     } catch (error) {
       console.error('Error getting sync stats:', error);
-      return { unsynced: 0, pendingActions: {} };
+      return { unsynced: 0, failed: 0, failedItems: [], pendingActions: {}, groups: {}, lastSyncAt: null };
     }
   },
 
@@ -66,20 +106,22 @@ export const offlineUtils = {
     return null;
   },
 
-  // Clear all offline data (for testing/reset)
+  // Clear all offline data: cached records, queued changes and cached API responses
   async clearAllData() {
     try {
-      const { db } = await import('../db/database');
-      
-      await db.users.clear();
-      await db.sessions.clear();
-      await db.attendees.clear();
-      await db.feedback.clear();
-      await db.points.clear();
-      await db.certificates.clear();
-      await db.badges.clear();
-      await db.skillProgress.clear();
-      await db.syncQueue.clear();
+      const { localStore, STORES } = await import('../db/localStore');
+
+      for (const storeName of Object.keys(STORES)) {
+        await localStore.clear(storeName);
+      }
+
+      // API responses the service worker cached for offline reads
+      if (window.caches) {
+        const cacheNames = await window.caches.keys();
+        await Promise.all(cacheNames
+          .filter(name => name.startsWith('peer-learning-api-'))
+          .map(name => window.caches.delete(name)));
+      }
 
       localStorage.clear();
       console.log('✓ All data cleared');
@@ -90,25 +132,87 @@ export const offlineUtils = {
     }
   },
 
+  // Collect the user's local data into a versioned backup archive
+  async createBackup(userId) {
+    const { localStore } = await import('../db/localStore');
+
+    const sessions = (await localStore.getAll('sessions')).filter(session =>
+      session.creatorId === userId || (session.attendees || []).includes(userId)
+    );
+    const sessionIds = sessions.map(session => session.sessionId);
+    const feedback = (await localStore.getAll('feedback')).filter(entry =>
+      entry.studentId === userId || sessionIds.includes(entry.sessionId)
+    );
+    const syncQueue = (await localStore.getAll('syncQueue')).filter(item =>
+      item.userId === userId && item.status !== 'synced'
+    );
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      userId,
+      data: {
+        sessions,
+        feedback,
+        certificates: await localStore.getAllByIndex('certificates', 'userId', userId),
+        badges: await localStore.getAllByIndex('badges', 'userId', userId),
+        syncQueue
+      }
+    };
+  },
+
+  // Check an archive's shape before touching local data; returns a list of problems
+  validateBackup(backup) {
+    const errors = [];
+
+    if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+      return ['Backup file is not a JSON object'];
+    }
+    if (backup.format !== BACKUP_FORMAT) {
+      errors.push('Not a NavPeer backup file');
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+      errors.push('Backup version is missing');
+    } else if (backup.version > BACKUP_VERSION) {
+      errors.push(`Backup version ${backup.version} is newer than this app supports (${BACKUP_VERSION})`);
+    }
+    if (!backup.data || typeof backup.data !== 'object') {
+      errors.push('Backup has no data section');
+      return errors;
+    }
+
+    Object.entries(BACKUP_COLLECTIONS).forEach(([name, keyField]) => {
+      const records = backup.data[name];
+      if (records === undefined) return;
+      if (!Array.isArray(records)) {
+        errors.push(`"${name}" must be a list`);
+        return;
+      }
+      const invalid = records.filter(record =>
+        !record || typeof record !== 'object' || !(record[keyField] || record._id)
+      ).length;
+      if (invalid > 0) {
+        errors.push(`${invalid} ${name} record${invalid === 1 ? ' is' : 's are'} missing "${keyField}"`);
+      }
+    });
+
+    const badQueueItems = (backup.data.syncQueue || []).filter(item =>
+      item && (!item.dataType || !item.action || !item.data)
+    ).length;
+    if (badQueueItems > 0) {
+      errors.push(`${badQueueItems} pending change${badQueueItems === 1 ? ' is' : 's are'} incomplete`);
+    }
+
+    return errors;
+  },
+
   // Export data as JSON for backup
-  async exportData() {
+  async exportData(userId) {
     try {
-      const { db } = await import('../db/database');
-
-      const data = {
-        users: await db.users.toArray(),
-        sessions: await db.sessions.toArray(),
-        attendees: await db.attendees.toArray(),
-        feedback: await db.feedback.toArray(),
-        points: await db.points.toArray(),
-        certificates: await db.certificates.toArray(),
-        badges: await db.badges.toArray(),
-        skillProgress: await db.skillProgress.toArray(),
-        syncQueue: await db.syncQueue.toArray(),
-        exportDate: new Date().toISOString()
-      };
+      const backup = await this.createBackup(userId);
 
-      const json = JSON.stringify(data, null, 2);
+      const json = JSON.stringify(backup, null, 2);
       const blob = new Blob([json], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
@@ -117,40 +221,70 @@ export const offlineUtils = {
       a.click();
       URL.revokeObjectURL(url);
 
-      return true;
+      return backup;
     } catch (error) {
       console.error('Error exporting data:', error);
-      return false;
+      return null;
     }
   },
 
-  // Import data from JSON backup
-  async importData(file) {
+  /**
+   * Import data from a JSON backup of `userId`'s data, merging it into the local store.
+   * Records are only overwritten when the backup copy is newer, local records
+   * with unsynced edits are left alone, and queued changes that are already
+   * queued or have already been synced are skipped.
+   * Returns { success, errors, imported, skipped }.
+   */
+  async importData(file, userId) {
+    const summary = { success: false, errors: [], imported: {}, skipped: {} };
+
+    let backup;
     try {
-      const text = await file.text();
-      const data = JSON.parse(text);
-      const { db } = await import('../db/database');
-
-      // Clear existing data
-      await this.clearAllData();
-
-      // Import data
-      if (data.users) await db.users.bulkAdd(data.users);
-      if (data.sessions) await db.sessions.bulkAdd(data.sessions);
-      if (data.attendees) await db.attendees.bulkAdd(data.attendees);
-      if (data.feedback) await db.feedback.bulkAdd(data.feedback);
-      if (data.points) await db.points.bulkAdd(data.points);
-      if (data.certificates) await db.certificates.bulkAdd(data.certificates);
-      if (data.badges) await db.badges.bulkAdd(data.badges);
-      if (data.skillProgress) await db.skillProgress.bulkAdd(data.skillProgress);
-      if (data.syncQueue) await db.syncQueue.bulkAdd(data.syncQueue);
-
-      console.log('✓ Data imported successfully');
-      return true;
+      backup = JSON.parse(await file.text());
+    } catch (error) {
+      summary.errors.push('File is not valid JSON');
+      return summary;
+    }
+
+    summary.errors = this.validateBackup(backup);
+    if (summary.errors.length === 0 && backup.userId !== userId) {
+      summary.errors.push('This backup belongs to a different account');
+    }
+    if (summary.errors.length > 0) return summary;
+
+    try {
+      const { localStore, keyOf } = await import('../db/localStore');
+      const { syncQueueDB } = await import('../db/database');
+
+      for (const name of Object.keys(BACKUP_COLLECTIONS)) {
+        const records = backup.data[name] || [];
+        const accepted = [];
+
+        for (const record of records) {
+          const existing = await localStore.get(name, keyOf(name, record));
+          if (shouldKeepExisting(name, existing, record)) continue;
+          if (name === 'syncQueue') {
+            // Replaying a change the server already applied would apply it twice.
+            // Ids synced before this device was cleared are unknown here; /sync
+            // ignores item ids it has already applied.
+            if (record.userId !== userId || record.status === 'synced' || await syncQueueDB.wasSynced(record.id)) continue;
+            accepted.push(toPendingItem(record));
+          } else {
+            accepted.push(record);
+          }
+        }
+
+        summary.imported[name] = await localStore.bulkPut(name, accepted);
+        summary.skipped[name] = records.length - summary.imported[name];
+      }
+
+      summary.success = true;
+      console.log('✓ Data imported successfully', summary.imported);
     } catch (error) {
       console.error('Error importing data:', error);
-      return false;
+      summary.errors.push(error.message || 'Failed to write backup data');
     }
+    return summary;
   }
 };
 
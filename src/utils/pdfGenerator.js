@@ -6,11 +6,13 @@
 
 import jsPDF from 'jspdf';
 import html2canvas from 'html2canvas';
+import { ATTENDANCE_STATES, getAttendanceCount } from './attendance';
 
 /**
  * Generate Session Summary PDF
+ * `attendance` is the register (see utils/attendance getAttendanceRows)
  */
-export const generateSessionPDF = async (sessionData, feedbacks, creatorName) => {
+export const generateSessionPDF = async (sessionData, feedbacks, creatorName, attendance = []) => {
   const doc = new jsPDF();
   const pageHeight = doc.internal.pageSize.getHeight();
   const pageWidth = doc.internal.pageSize.getWidth();
@@ -53,10 +55,13 @@ export const generateSessionPDF = async (sessionData, feedbacks, creatorName) =>
 
   doc.setFont(undefined, 'normal');
   doc.setFontSize(10);
-  const attendees = sessionData.attendees || [];
-  if (attendees.length > 0) {
-    attendees.forEach((attendee, index) => {
-      doc.text(`${index + 1}. ${attendee.studentName || 'Unknown'}`, 25, yPosition);
+  if (attendance.length > 0) {
+    doc.text(`Attended: ${getAttendanceCount(sessionData)} of ${attendance.length} registered`, 25, yPosition);
+    yPosition += 7;
+    attendance.forEach((attendee, index) => {
+      const status = ATTENDANCE_STATES[attendee.status] || 'Not marked';
+      const note = attendee.note ? ` - ${attendee.note}` : '';
+      doc.text(`${index + 1}. ${attendee.name || 'Unknown'} (${status})${note}`, 25, yPosition);
       yPosition += 6;
       if (yPosition > pageHeight - 40) {
         doc.addPage();
@@ -2,7 +2,8 @@
  * Points Calculation System
  * 
  * Formula:
- * - Points based on number of attendees:
+ * - Points based on number of attendees who were there (checked in, or
+ *   marked present or late in the mentor's register):
  *   * 1 attendee = 2 points
  *   * 2 attendees = 3 points
  *   * 3 attendees = 4 points
@@ -16,11 +17,13 @@
  * - +1 point per "Good" behaviour feedback
  */
 
+import { getAttendanceCount } from './attendance';
+
 export const calculateSessionPoints = (sessionData) => {
   let points = 0;
 
-  // Points based on number of attendees
-  const attendeeCount = sessionData.attendees?.length || 0;
+  // Points based on who was there, not who signed up
+  const attendeeCount = getAttendanceCount(sessionData);
   
   if (attendeeCount === 1) {
     points = 2;
@@ -132,7 +135,7 @@ export const shouldAwardBadge = (userPoints, userBadges = []) => {
 export const checkCertificateEligibility = (sessionData, feedbacks) => {
   const feedback = calculateAverageFeedback(feedbacks);
   const eligibility = {
-    peerMentor: sessionData.status === 'completed' && sessionData.attendees?.length > 0,
+    peerMentor: sessionData.status === 'completed' && getAttendanceCount(sessionData) > 0,
     outstandingHelper: feedback.averageRating >= 4.5 && feedback.goodCount > feedback.badCount
   };
 
@@ -0,0 +1,81 @@
+/**
+ * Recurrence
+ * Expands a weekly recurrence rule into the start times of a session series.
+ * A rule looks like { interval: 1, daysOfWeek: [1, 3], count: 8 } or, instead
+ * of `count`, { until: '2026-12-20' }. Days use Date#getDay numbering (0 = Sunday).
+ */
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Keeps a typo in "until" from creating years of sessions
+export const MAX_OCCURRENCES = 52;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Same "YYYY-MM-DDTHH:mm" local format the datetime-local input produces
+export const toLocalDateTime = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// Returns an error message, or '' when the rule can be expanded
+export const validateRule = (start, rule) => {
+  if (!start || Number.isNaN(new Date(start).getTime())) return 'Pick the date and time of the first session';
+  if (!rule.daysOfWeek || rule.daysOfWeek.length === 0) return 'Pick at least one day of the week';
+  if (rule.until) {
+    if (new Date(`${rule.until}T23:59`) < new Date(start)) return 'The end date must be after the first session';
+  } else if (!rule.count || rule.count < 2) {
+    return 'A series needs at least 2 sessions';
+  }
+  return '';
+};
+
+// Start times of every occurrence, in order. The series starts at `start`
+// (skipping days before it) and keeps its time of day on every occurrence.
+export const generateOccurrences = (start, rule) => {
+  const first = new Date(start);
+  if (Number.isNaN(first.getTime())) return [];
+
+  const days = [...new Set(rule.daysOfWeek?.length ? rule.daysOfWeek : [first.getDay()])].sort((a, b) => a - b);
+  const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+  const limit = Math.min(rule.until ? MAX_OCCURRENCES : rule.count || 1, MAX_OCCURRENCES);
+  const until = rule.until ? new Date(`${rule.until}T23:59:59`) : null;
+
+  // Sunday of the first session's week, at the session's time of day
+  const weekStart = new Date(first);
+  weekStart.setDate(first.getDate() - first.getDay());
+
+  const occurrences = [];
+  for (let week = 0; occurrences.length < limit; week += interval) {
+    for (const day of days) {
+      const date = new Date(weekStart);
+      date.setDate(weekStart.getDate() + week * 7 + day);
+      if (date < first) continue;
+      if (until && date > until) return occurrences;
+      occurrences.push(toLocalDateTime(date));
+      if (occurrences.length >= limit) break;
+    }
+  }
+  return occurrences;
+};
+
+// e.g. "Every week on Mon, Wed · 8 sessions" or "Every 2 weeks on Tue · until 12/20/2026"
+export const describeRule = (rule) => {
+  if (!rule) return '';
+  const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+  const every = interval === 1 ? 'Every week' : `Every ${interval} weeks`;
+  const days = [...(rule.daysOfWeek || [])].sort((a, b) => a - b).map(day => WEEKDAYS[day]).join(', ');
+  const end = rule.until
+    ? `until ${new Date(`${rule.until}T00:00`).toLocaleDateString()}`
+    : `${rule.count} sessions`;
+  return `${every}${days ? ` on ${days}` : ''} · ${end}`;
+};
+
+const recurrence = {
+  WEEKDAYS,
+  MAX_OCCURRENCES,
+  toLocalDateTime,
+  validateRule,
+  generateOccurrences,
+  describeRule
+};
+
+export default recurrence;
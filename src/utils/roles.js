@@ -0,0 +1,62 @@
+/**
+ * Roles & Permissions
+ * Every user has one role, assigned by the server (new accounts start as
+ * students; coordinators promote mentors). The UI uses these checks to show or
+ * hide actions; the server enforces the same rules using the role it has on
+ * record for the signed-in account, never the X-User-Role header alone.
+ */
+
+export const ROLES = {
+  STUDENT: 'student',
+  MENTOR: 'mentor',
+  COORDINATOR: 'coordinator',
+  ADMIN: 'admin'
+};
+
+export const ROLE_LABELS = {
+  student: 'Student',
+  mentor: 'Mentor',
+  coordinator: 'Coordinator',
+  admin: 'Admin'
+};
+
+// Roles allowed to perform each action (admins can do everything)
+const PERMISSIONS = {
+  'session:create-series': [ROLES.MENTOR, ROLES.COORDINATOR],
+  'session:manage-any': [ROLES.COORDINATOR],
+  'certificate:revoke': [ROLES.COORDINATOR],
+  'feedback:moderate': [ROLES.COORDINATOR],
+  'admin:dashboard': [ROLES.COORDINATOR]
+};
+
+// Users created before roles existed are students
+export const getRole = (user) => (user?.role && ROLE_LABELS[user.role] ? user.role : ROLES.STUDENT);
+
+export const hasRole = (user, allowedRoles) => {
+  if (!user) return false;
+  if (!allowedRoles || allowedRoles.length === 0) return true;
+  const role = getRole(user);
+  return role === ROLES.ADMIN || allowedRoles.includes(role);
+};
+
+export const can = (user, permission) => {
+  const allowed = PERMISSIONS[permission];
+  return Boolean(allowed) && hasRole(user, allowed);
+};
+
+// Creators manage their own sessions; coordinators manage everyone's
+export const canManageSession = (user, session) => {
+  if (!user || !session) return false;
+  return String(user.userId) === String(session.creatorId) || can(user, 'session:manage-any');
+};
+
+const roles = {
+  ROLES,
+  ROLE_LABELS,
+  getRole,
+  hasRole,
+  can,
+  canManageSession
+};
+
+export default roles;
@@ -0,0 +1,36 @@
+/**
+ * Rooms
+ * Campus rooms sessions are booked into. A session stores the roomId and,
+ * for display and older clients, the room name as its `location`.
+ */
+
+export const AMENITIES = {
+  projector: 'Projector',
+  whiteboard: 'Whiteboard',
+  computers: 'Computers',
+  videoConferencing: 'Video conferencing'
+};
+
+export const findRoom = (rooms, roomId) => rooms.find(room => room.roomId === roomId) || null;
+
+export const roomLabel = (room) =>
+  `${room.name}${room.building ? ` (${room.building})` : ''} · ${room.capacity} seats`;
+
+export const hasAmenities = (room, amenities) =>
+  amenities.every(amenity => (room.amenities || []).includes(amenity));
+
+// Seat limit for a session in `room`: the mentor's limit, never above capacity
+export const seatLimit = (maxSeats, room) => {
+  if (!room) return maxSeats || null;
+  return maxSeats ? Math.min(maxSeats, room.capacity) : room.capacity;
+};
+
+const roomUtils = {
+  AMENITIES,
+  findRoom,
+  roomLabel,
+  hasAmenities,
+  seatLimit
+};
+
+export default roomUtils;
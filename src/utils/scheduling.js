@@ -0,0 +1,111 @@
+/**
+ * Scheduling
+ * Overlap checks between sessions, using their start time and duration.
+ * A session clashes with another when they overlap in time and share the
+ * mentor, an attendee, or the location. The server checks again on save;
+ * these warn early and work from the local cache while offline.
+ */
+
+import { getEndTime } from './sessionLifecycle';
+
+const ACTIVE_STATUSES = ['scheduled', 'ongoing'];
+const SLOT_STEP = 30; // minutes
+const DAY_START_HOUR = 8;
+const DAY_END_HOUR = 21;
+const SEARCH_DAYS = 7;
+
+export const normalizeLocation = (location) =>
+  (location || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Booked rooms compare by id; older free-text locations by name
+export const sameLocation = (a, b) => {
+  if (a.roomId || b.roomId) return Boolean(a.roomId) && a.roomId === b.roomId;
+  const location = normalizeLocation(a.location);
+  return Boolean(location) && location === normalizeLocation(b.location);
+};
+
+export const overlaps = (a, b) =>
+  new Date(a.dateTime) < getEndTime(b) && new Date(b.dateTime) < getEndTime(a);
+
+// Sessions the user runs or has a seat in
+const involves = (session, userId) =>
+  Boolean(userId) &&
+  (String(session.creatorId) === String(userId) || (session.attendees || []).includes(userId));
+
+// Clashes for `candidate` (a session or draft with dateTime, duration, room
+// and creatorId). `userId` checks a joining student's own calendar instead of
+// the mentor's. Returns [{ session, reasons }] with reasons from
+// 'mentor', 'attendee' and 'location'.
+export const findConflicts = (candidate, sessions, { userId = null } = {}) => {
+  if (!candidate?.dateTime) return [];
+
+  return sessions
+    .filter(session =>
+      session.sessionId !== candidate.sessionId &&
+      ACTIVE_STATUSES.includes(session.status) &&
+      overlaps(candidate, session))
+    .map(session => {
+      const reasons = [];
+      if (!userId && involves(session, candidate.creatorId)) reasons.push('mentor');
+      if (userId && involves(session, userId)) reasons.push('attendee');
+      if (!userId && sameLocation(candidate, session)) reasons.push('location');
+      return { session, reasons };
+    })
+    .filter(conflict => conflict.reasons.length > 0);
+};
+
+// Other sessions booked at the same location on the candidate's day
+export const getLocationDay = (candidate, sessions) => {
+  if (!candidate?.dateTime) return [];
+  const day = new Date(candidate.dateTime).toDateString();
+  return sessions
+    .filter(session =>
+      session.sessionId !== candidate.sessionId &&
+      ACTIVE_STATUSES.includes(session.status) &&
+      sameLocation(candidate, session) &&
+      new Date(session.dateTime).toDateString() === day)
+    .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+};
+
+// The next few clash-free start times after the requested one, within
+// daytime hours over the following week
+export const suggestFreeSlots = (candidate, sessions, { count = 3 } = {}) => {
+  const slots = [];
+  const cursor = new Date(candidate.dateTime);
+  const limit = new Date(cursor.getTime() + SEARCH_DAYS * 24 * 3600000);
+  const now = new Date();
+
+  while (slots.length < count && cursor < limit) {
+    cursor.setMinutes(cursor.getMinutes() + SLOT_STEP);
+    const hour = cursor.getHours();
+    if (hour < DAY_START_HOUR || hour >= DAY_END_HOUR || cursor < now) continue;
+
+    const draft = { ...candidate, dateTime: cursor.toISOString() };
+    if (getEndTime(draft).getHours() > DAY_END_HOUR) continue;
+    if (findConflicts(draft, sessions).length === 0) {
+      slots.push(new Date(cursor));
+    }
+  }
+  return slots;
+};
+
+export const describeConflict = ({ session, reasons }) => {
+  const labels = {
+    mentor: 'you are already running or attending it',
+    attendee: 'you are already booked into it',
+    location: `${session.location} is booked`
+  };
+  return `"${session.title}" at ${new Date(session.dateTime).toLocaleString()} — ${reasons.map(r => labels[r]).join('; ')}`;
+};
+
+const scheduling = {
+  normalizeLocation,
+  sameLocation,
+  overlaps,
+  findConflicts,
+  getLocationDay,
+  suggestFreeSlots,
+  describeConflict
+};
+
+export default scheduling;
@@ -0,0 +1,63 @@
+/**
+ * Session Lifecycle
+ * Time-driven status changes: a scheduled session becomes ongoing at its start
+ * time, is flagged overdue once its duration has passed, and is closed
+ * automatically if the mentor never completes it. The server makes these
+ * changes permanent; every client derives the same status from `dateTime` and
+ * `duration` when reading, so no one waits for the mentor's device.
+ */
+
+export const DEFAULT_DURATION = 60; // minutes
+export const DURATION_OPTIONS = [30, 45, 60, 90, 120, 180];
+export const AUTO_CLOSE_AFTER_HOURS = 48;
+
+export const getDuration = (session) => Number(session?.duration) || DEFAULT_DURATION;
+
+export const getEndTime = (session) =>
+  new Date(new Date(session.dateTime).getTime() + getDuration(session) * 60000);
+
+// Ended but still waiting for the mentor to complete it
+export const isOverdue = (session, now = new Date()) =>
+  ['scheduled', 'ongoing'].includes(session.status) && now >= getEndTime(session);
+
+// The status change due for this session at `now`, or null when none is.
+// Only scheduled and ongoing sessions move; completed and cancelled are final.
+export const getLifecycleChange = (session, now = new Date()) => {
+  if (!session?.dateTime || !['scheduled', 'ongoing'].includes(session.status)) return null;
+
+  const autoCloseAt = getEndTime(session).getTime() + AUTO_CLOSE_AFTER_HOURS * 3600000;
+  if (now.getTime() >= autoCloseAt) {
+    return { status: 'completed', autoClosed: true };
+  }
+  if (session.status === 'scheduled' && now >= new Date(session.dateTime)) {
+    return { status: 'ongoing' };
+  }
+  return null;
+};
+
+// The session as it stands at `now`, whether or not the server has recorded it yet
+export const applyLifecycle = (session, now = new Date()) => {
+  const change = getLifecycleChange(session, now);
+  return change ? { ...session, ...change } : session;
+};
+
+export const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest} min`;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+};
+
+const sessionLifecycle = {
+  DEFAULT_DURATION,
+  DURATION_OPTIONS,
+  AUTO_CLOSE_AFTER_HOURS,
+  getDuration,
+  getEndTime,
+  isOverdue,
+  getLifecycleChange,
+  applyLifecycle,
+  formatDuration
+};
+
+export default sessionLifecycle;
@@ -1,70 +1,250 @@
 /**
  * Sync Manager
- * Handles syncing offline data with backend when online
+ * Replays the offline outbox (syncQueueDB) against the backend when online,
+ * in order, with per-item retries, exponential backoff and conflict checks
  */
 
-import axios from 'axios';
-import { syncQueueDB } from '../db/database';
+import { syncQueueDB, metaDB, onDataChange, notifyDataChange, storeServerRecords } from '../db/database';
+import { api, sessionAPI, userAPI, isFromWorkerCache } from '../services/api';
+import { resolveConflicts, getVersion } from './conflictResolver';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
-console.log('SyncManager: Using API_BASE_URL:', API_BASE_URL);   //debug
+
+const SYNC_TAG = 'sync-data';
+const BATCH_SIZE = 25;
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+// 2s, 4s, 8s ... capped at 5 minutes, with jitter so devices don't retry in lockstep
+export const getRetryDelay = (attempts) => {
+  const delay = Math.min(BASE_RETRY_DELAY * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_DELAY);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const toPayload = (item) => ({
+  id: item.id,
+  type: item.dataType,
+  action: item.action,
+  _id: item.data?._id,
+  baseVersion: item.baseVersion,
+  data: item.data
+});
+
+// Current server copy of the record a queued edit targets, never a cached one
+const fetchServerRecord = {
+  session: (data) => sessionAPI.getSession(data.sessionId, { fresh: true }),
+  user: (data) => userAPI.getUser(data.userId, { fresh: true })
+};
 
 export const syncManager = {
+  syncing: false,
+  retryTimer: null,
+  networkFailures: 0,
+
   // Check if online
   isOnline: () => {
     return navigator.onLine;
   },
 
-  // Sync offline data with backend
+  // Replay due queue items for this user; returns a summary of what happened
   async syncData(userId) {
     if (!this.isOnline()) {
       console.log('Offline - sync queued');
       return { success: false, message: 'No internet connection' };
     }
 
+    if (this.syncing) {
+      return { success: false, message: 'Sync already in progress' };
+    }
+
+    this.syncing = true;
+    let synced = 0;
+    let failed = 0;
+
     try {
-      const unsynced = await syncQueueDB.getUnsynced();
+      let due = await syncQueueDB.getDue(userId);
 
-      if (unsynced.length === 0) {
+      if (due.length === 0) {
         return { success: true, message: 'Nothing to sync' };
       }
 
-      // Group by user
-      const userUnsynced = unsynced.filter(item => item.userId === userId);
+      while (due.length > 0) {
+        const batch = [];
+        for (const item of due.slice(0, BATCH_SIZE)) {
+          const ready = await this.checkForConflicts(item);
+          // Parked or dropped: re-read the queue so later changes to a conflicted
+          // record stay behind it
+          if (!ready) break;
+          batch.push(ready);
+          await syncQueueDB.markAsSyncing(ready.id);
+        }
 
-      if (userUnsynced.length === 0) {
-        return { success: true, message: 'No data to sync for this user' };
-      }
+        if (batch.length === 0) {
+          due = await syncQueueDB.getDue(userId);
+          continue;
+        }
 
-      // Send to backend
-      const response = await axios.post(`${API_BASE_URL}/sync`, {
-        userId,
-        data: userUnsynced.map(item => ({
-          type: item.dataType,
-          _id: item.data._id,
-          data: item.data
-        }))
-      });
+        let response;
+        try {
+          response = await api.post('/sync', {
+            userId,
+            data: batch.map(toPayload)
+          });
+        } catch (error) {
+          if (error.offline) {
+            // Never reached the server - leave items untouched and back off as a whole
+            for (const item of batch) {
+              await syncQueueDB.resetToPending(item.id);
+            }
+            this.networkFailures++;
+            this.scheduleSync(userId, getRetryDelay(this.networkFailures));
+            this.requestBackgroundSync();
+            return { success: false, message: error.message, synced, failed };
+          }
 
-      // Mark as synced
-      for (const item of userUnsynced) {
-        await syncQueueDB.markAsSynced(item.id);
+          // Server rejected the whole batch - count an attempt against every item
+          for (const item of batch) {
+            await this.recordFailure(item, error.message);
+          }
+          failed += batch.length;
+          break;
+        }
+
+        this.networkFailures = 0;
+
+        // Per-item results are optional; a plain 2xx means the whole batch applied
+        const results = Array.isArray(response.data?.results) ? response.data.results : null;
+        let stop = false;
+
+        for (const [index, item] of batch.entries()) {
+          const result = results && (results.find(r => r.id === item.id) || results[index]);
+          if (result?.conflict && result.current) {
+            // Server saw a newer version than the edit was based on; retry the rebased
+            // edit with backoff so a server that keeps refusing can't spin the queue
+            const updated = await syncQueueDB.applyResolution(
+              item.id,
+              resolveConflicts(item.dataType, { changes: item.data.changes, base: item.base || {} }, result.current)
+            );
+            if (updated?.status === 'pending') {
+              await this.recordFailure(updated, 'Rebased onto a newer server version');
+              stop = true;
+            }
+          } else if (!result || result.success !== false) {
+            await syncQueueDB.markAsSynced(item.id);
+            synced++;
+          } else {
+            await this.recordFailure(item, result.error || result.message || 'Rejected by server');
+            failed++;
+            stop = true;
+          }
+        }
+
+        // A failed item blocks the rest of the queue until its retry is due
+        if (stop) break;
+        due = await syncQueueDB.getDue(userId);
+      }
+
+      await syncQueueDB.clearSynced();
+      if (synced > 0) {
+        await metaDB.set('lastSyncAt', new Date().toISOString());
       }
 
-      console.log(`Synced ${userUnsynced.length} items`);
-      return { success: true, message: `Synced ${userUnsynced.length} items` };
+      console.log(`Synced ${synced} items${failed ? `, ${failed} failed` : ''}`);
+      return {
+        success: failed === 0,
+        message: `Synced ${synced} items${failed ? `, ${failed} failed` : ''}`,
+        synced,
+        failed
+      };
     } catch (error) {
       console.error('Sync error:', error);
-      return { success: false, message: error.message };
+      return { success: false, message: error.message, synced, failed };
+    } finally {
+      this.syncing = false;
+      await this.scheduleNextRetry(userId);
+    }
+  },
+
+  // Compare a queued edit with the server copy before sending it. Returns the item
+  // to send (possibly rebased), or null if it was parked as a conflict or dropped.
+  async checkForConflicts(item) {
+    const fetchCurrent = fetchServerRecord[item.dataType];
+    if (item.action !== 'update' || !fetchCurrent) return item;
+
+    const serverRecord = await fetchCurrent(item.data);
+    // A worker that still served its cache can't tell; the server checks baseVersion itself
+    if (!serverRecord || serverRecord.message || isFromWorkerCache(serverRecord)) return item;
+    if (item.baseVersion !== null && getVersion(serverRecord) === item.baseVersion) return item;
+
+    const resolution = resolveConflicts(
+      item.dataType,
+      { changes: item.data.changes, base: item.base || {} },
+      serverRecord
+    );
+    if (resolution.conflicts.length > 0) {
+      console.warn(`Sync conflict on ${item.dataType} ${item.id}:`, resolution.conflicts.map(c => c.field));
+    }
+
+    const updated = await syncQueueDB.applyResolution(item.id, resolution);
+    return updated?.status === 'pending' ? updated : null;
+  },
+
+  // Back off an item, or give up on it once it has used all its attempts
+  async recordFailure(item, message) {
+    const attempts = item.attempts + 1;
+    const retryAt = attempts < MAX_ATTEMPTS ? Date.now() + getRetryDelay(attempts) : null;
+    console.warn(`Sync failed for ${item.dataType} ${item.id} (attempt ${attempts}):`, message);
+    await syncQueueDB.markAsFailed(item.id, message, retryAt);
+  },
+
+  // Wake up again when the earliest backed-off item becomes due
+  async scheduleNextRetry(userId) {
+    if (this.retryTimer) return;
+    const pending = (await syncQueueDB.getUnsynced())
+      .filter(item => item.userId === userId && item.status === 'pending');
+    if (pending.length === 0) return;
+
+    const nextAt = Math.min(...pending.map(item => item.nextAttemptAt));
+    this.scheduleSync(userId, Math.max(nextAt - Date.now(), 0));
+  },
+
+  scheduleSync(userId, delay = 0) {
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.syncData(userId);
+    }, delay);
+  },
+
+  // Ask the service worker to drain the queue once connectivity returns,
+  // even if this tab has been closed by then
+  async requestBackgroundSync() {
+    try {
+      if (!('serviceWorker' in navigator)) return false;
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (!registration?.sync) return false;
+      await registration.sync.register(SYNC_TAG);
+      return true;
+    } catch (error) {
+      console.warn('Background sync registration failed:', error);
+      return false;
     }
   },
 
-  // Listen for online/offline events
+  // Listen for online/offline events, newly queued changes and service worker messages
   setupSyncListener() {
+    const currentUserId = () => localStorage.getItem('userId');
+
+    // The service worker has no access to the build-time env, so hand it the API URL
+    metaDB.set('config', { apiUrl: API_BASE_URL })
+      .catch(error => console.warn('Failed to store sync config:', error));
+
     window.addEventListener('online', async () => {
       console.log('Back online - attempting sync');
-      const userId = localStorage.getItem('userId');
+      const userId = currentUserId();
       if (userId) {
+        this.networkFailures = 0;
         await this.syncData(userId);
       }
     });
@@ -72,6 +252,47 @@ export const syncManager = {
     window.addEventListener('offline', () => {
       console.log('Offline - data will sync when online');
     });
+
+    onDataChange('syncQueue', () => {
+      if (!this.isOnline()) {
+        this.requestBackgroundSync();
+        return;
+      }
+      // Something was queued while online (e.g. behind an older pending change)
+      const userId = currentUserId();
+      if (userId && !this.syncing && !this.retryTimer) {
+        this.scheduleSync(userId, 500);
+      }
+    });
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', event => {
+        const { type, stores = [] } = event.data || {};
+        if (type === 'SYNC_REQUESTED') {
+          // A tab is open, so the worker leaves the replay (and any conflict prompts) to us
+          const userId = currentUserId();
+          if (userId) this.syncData(userId);
+        } else if (type === 'SYNC_COMPLETE') {
+          console.log('Service worker synced offline changes', event.data);
+          stores.forEach(notifyDataChange);
+        } else if (type === 'API_UPDATED') {
+          // A stale cached response was revalidated with newer data; pages were
+          // shown the stale copy without storing it, so store the fresh one
+          storeServerRecords(event.data.store, event.data.data)
+            .catch(error => console.warn('Failed to store revalidated data:', error))
+            .finally(() => notifyDataChange(event.data.store));
+        }
+      });
+
+      // Keep the worker's API route matching in step with REACT_APP_API_URL
+      navigator.serviceWorker.controller?.postMessage({ type: 'CONFIG', apiUrl: API_BASE_URL });
+    }
+
+    // Flush anything left over from a previous visit
+    const userId = currentUserId();
+    if (userId && this.isOnline()) {
+      this.scheduleSync(userId, 1000);
+    }
   }
 };
 
@@ -0,0 +1,71 @@
+/**
+ * Waitlist
+ * Seat bookkeeping for sessions with maxSeats. `attendees` holds the users
+ * with a seat and `waitlist` the ordered queue behind them. The server applies
+ * the same rules and has the final say; these keep the local copy in step
+ * while offline.
+ */
+
+export const isSessionFull = (session) =>
+  Boolean(session?.maxSeats) && (session.attendees || []).length >= session.maxSeats;
+
+// 1-based place in the queue, 0 when not waitlisted
+export const waitlistPosition = (session, userId) => (session?.waitlist || []).indexOf(userId) + 1;
+
+// Give the user a seat, or a place at the back of the waitlist when full
+export const joinOrWaitlist = (session, userId) => {
+  const attendees = session.attendees || [];
+  const waitlist = session.waitlist || [];
+  if (attendees.includes(userId) || waitlist.includes(userId)) return session;
+  if (isSessionFull(session)) {
+    return { ...session, waitlist: [...waitlist, userId] };
+  }
+  return { ...session, attendees: [...attendees, userId] };
+};
+
+export const leaveWaitlist = (session, userId) => ({
+  ...session,
+  waitlist: (session.waitlist || []).filter(id => id !== userId)
+});
+
+// Move waitlisted users into free seats, first come first served.
+// Returns the updated session and who was promoted.
+export const fillSeats = (session) => {
+  const attendees = [...(session.attendees || [])];
+  const waitlist = [...(session.waitlist || [])];
+  const promoted = [];
+  while (waitlist.length > 0 && (!session.maxSeats || attendees.length < session.maxSeats)) {
+    const userId = waitlist.shift();
+    attendees.push(userId);
+    promoted.push(userId);
+  }
+  return { session: { ...session, attendees, waitlist }, promoted };
+};
+
+// A seat limit can't drop below the people already holding a seat;
+// returns an error message, or '' when `maxSeats` is fine (null = no limit)
+export const validateMaxSeats = (session, maxSeats) => {
+  const taken = (session?.attendees || []).length;
+  if (!maxSeats || taken <= maxSeats) return '';
+  return `${taken} people already have a seat, so the limit can't go below ${taken}`;
+};
+
+// Mentor reordering: move one user to a new 0-based position
+export const moveInWaitlist = (waitlist, userId, toIndex) => {
+  const next = waitlist.filter(id => id !== userId);
+  const index = Math.max(0, Math.min(toIndex, next.length));
+  next.splice(index, 0, userId);
+  return next;
+};
+
+const waitlistUtils = {
+  isSessionFull,
+  waitlistPosition,
+  joinOrWaitlist,
+  leaveWaitlist,
+  fillSeats,
+  validateMaxSeats,
+  moveInWaitlist
+};
+
+export default waitlistUtils;